@@ -1,9 +1,10 @@
-import { characters, chat, chat_metadata, eventSource, event_types, getRequestHeaders, saveSettingsDebounced, substituteParams } from '../../../../script.js';
+import { characters, chat, chat_metadata, eventSource, event_types, extension_prompt_roles, extension_prompt_types, getRequestHeaders, getThumbnailUrl, saveChatDebounced, saveSettingsDebounced, setExtensionPrompt, substituteParams } from '../../../../script.js';
 import { extension_settings, getContext, saveMetadataDebounced } from '../../../extensions.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
-import { delay, escapeRegex, isTrueBoolean } from '../../../utils.js';
+import { delay, download, escapeHtml, escapeRegex, isFalseBoolean, isTrueBoolean } from '../../../utils.js';
+import { loadWorldInfo, METADATA_KEY, selected_world_info, world_names } from '../../../world-info.js';
 
 const log = (...msg) => console.log('[NE]', ...msg);
 /**
@@ -33,6 +34,26 @@ export function debounceAsync(func, timeout = 300) {
     };
 }
 
+/**
+ * Calls fn for every item with at most limit calls running at the same time.
+ * @param {Array} items The items to process.
+ * @param {Number} limit The maximum number of concurrent calls.
+ * @param {Function} fn Async function called with (item, index).
+ * @returns {Promise<Array>} The results, in the order of items.
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async()=>{
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -40,40 +61,229 @@ export function debounceAsync(func, timeout = 300) {
 // regex cache for makeWordRegex with size limit to prevent unbounded growth
 const regexCache = {};
 const MAX_REGEX_CACHE_SIZE = 100;
+// letters of scripts written without spaces between words; names in them get no word boundary on that side
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
 
 // logging control: only emit verbose debug logs once per changed message
 let lastLoggedMessageText = null;
 let enableVerboseLogging = false;
 
+// incremental scan cache: counts for the stable prefix of the message currently being scanned
+let scanCache = { key: null, text: '', stableEnd: 0, counts: {}, result: null };
+
+// entrance/exit phrase regex cache for makePhraseRegex
+const phraseRegexCache = new Map();
+
+// default entrance/exit phrases for the scene roster ({name} matches the member or any alias)
+const DEFAULT_ENTER_PHRASES = ['{name} walks in', '{name} enters', '{name} arrives', '{name} appears', '{name} joins', '{name} comes in', '{name} returns'];
+const DEFAULT_EXIT_PHRASES = ['{name} leaves', '{name} walks out', '{name} exits', '{name} departs', '{name} is gone', '{name} disappears'];
+
+// default paired delimiters for presence detection; mode: 'dialogue' (counted with settings.dialogueWeight),
+// 'ignore' (never counted) or 'count' (treated as plain narration)
+const DEFAULT_DELIMITERS = [
+    { open: '"', close: '"', mode: 'dialogue' },
+    { open: '“', close: '”', mode: 'dialogue' },
+    { open: '「', close: '」', mode: 'dialogue' },
+    { open: '『', close: '』', mode: 'dialogue' },
+    { open: '«', close: '»', mode: 'dialogue' },
+    { open: '*', close: '*', mode: 'ignore' },
+    { open: '```', close: '```', mode: 'ignore' },
+    { open: '`', close: '`', mode: 'ignore' },
+    { open: '<', close: '>', mode: 'ignore' },
+];
+const DELIMITER_MODES = ['dialogue', 'ignore', 'count'];
+// parsed delimiter cache for parseBracketSpans, rebuilt when settings.delimiters changes
+let activeDelimiters = { key: null, list: [] };
+
+// chat settings (chat_metadata.groupExpressions) that make up a chat's cast, see exportCast / importCast
+const CAST_KEYS = ['path', 'membersRaw', 'members', 'emotes', 'display', 'pinned', 'hidden', 'outfits', 'outfitNames', 'loreBooks', 'loreTag'];
+// value type per cast key, checked by importCast: 'string', 'strings' (array of strings), or a name-keyed plain object
+// of 'objects', 'stringMap' (name -> string) or 'stringsMap' (name -> array of strings)
+const CAST_KEY_TYPES = {
+    path: 'string', membersRaw: 'string', members: 'strings', emotes: 'objects', display: 'objects', pinned: 'strings',
+    hidden: 'strings', outfits: 'stringMap', outfitNames: 'stringsMap', loreBooks: 'strings', loreTag: 'string',
+};
+
+// file extensions returned by SillyTavern's sprite listing (it only lists image mime types)
+const IMAGE_EXTENSIONS = ['png', 'webp', 'gif', 'jpg', 'jpeg', 'jfif', 'avif', 'apng', 'bmp', 'svg'];
+// sprite file extensions rendered as looping muted <video> instead of <img>
+const VIDEO_EXTENSIONS = ['webm', 'mp4', 'm4v', 'ogv', 'mov'];
+
+// expression labels known to SillyTavern's Expressions extension
+const EXPRESSIONS = [
+    'admiration',
+    'amusement',
+    'anger',
+    'annoyance',
+    'approval',
+    'caring',
+    'confusion',
+    'curiosity',
+    'desire',
+    'disappointment',
+    'disapproval',
+    'disgust',
+    'embarrassment',
+    'excitement',
+    'fear',
+    'gratitude',
+    'grief',
+    'joy',
+    'love',
+    'nervousness',
+    'neutral',
+    'optimism',
+    'pride',
+    'realization',
+    'relief',
+    'remorse',
+    'sadness',
+    'surprise',
+];
+
+// keywords per expression for the local lexicon classifier: lowercase regex sources with their inflections, each
+// matched against whole words only (so "happy" doesn't catch "happened" and "sad" doesn't catch "saddle")
+const EMOTION_LEXICON = {
+    admiration: ['admir(e|es|ed|ing|ation)', 'awed', 'awestruck', 'impressed', 'marvel(s|ed|led|ing|ling)?'],
+    amusement: ['amus(ed|ing|ement)', 'laugh(s|ed|ing|ter)?', 'chuckl(e|es|ed|ing)', 'giggl(e|es|ed|ing)', 'grin(s|ned|ning)?', 'snicker(s|ed|ing)?', 'smirk(s|ed|ing)?'],
+    anger: ['anger(ed)?', 'angr(y|ier|ily)', 'furious(ly)?', 'fury', 'rag(e|es|ed|ing)', 'snarl(s|ed|ing)?', 'growl(s|ed|ing)?', 'shout(s|ed|ing)?', 'glar(e|es|ed|ing)', 'clench(es|ed|ing)?', 'seeth(e|es|ed|ing)', 'yell(s|ed|ing)?'],
+    annoyance: ['annoy(s|ed|ing|ance)?', 'irritat(ed|ing|ion)', 'huff(s|ed|ing|y)?', 'scoff(s|ed|ing)?', 'eye-roll(s|ing)?', 'sigh(s|ed|ing)?', 'grumbl(e|es|ed|ing)'],
+    caring: ['gentl(e|er|y)', 'comfort(s|ed|ing)?', 'sooth(e|es|ed|ing|ingly)', 'tender(ly|ness)?', 'reassur(e|es|ed|ing|ingly|ance)', 'hug(s|ged|ging)?', 'embrac(e|es|ed|ing)'],
+    confusion: ['confus(ed|ion|ing)', 'puzzl(ed|ing|ement)', 'bewilder(ed|ment)', 'baffl(ed|ing)', 'frown(s|ed|ing)?'],
+    curiosity: ['curious(ly)?', 'curiosity', 'intrigu(e|ed|ing)', 'wonder(s|ed|ing)?'],
+    desire: ['desir(e|es|ed|ing)', 'longing(ly)?', 'crav(e|es|ed|ing)', 'lust(s|ed|ful|fully)?', 'yearn(s|ed|ing)?'],
+    disappointment: ['disappoint(ed|ing|ment)', 'deflated', 'crestfallen'],
+    disgust: ['disgust(ed|ing)?', 'grimac(e|es|ed|ing)', 'revulsion', 'nause(a|ous|ated)', 'sneer(s|ed|ing)?', 'recoil(s|ed|ing)?'],
+    embarrassment: ['embarrass(ed|ing|ment)', 'blush(es|ed|ing)?', 'flushed', 'sheepish(ly)?', 'fluster(ed)?'],
+    excitement: ['excit(ed|edly|ing|ement)', 'eager(ly|ness)?', 'thrill(s|ed|ing)?', 'bounc(es|ed|ing)'],
+    fear: ['fear(s|ed|ful|fully)?', 'afraid', 'terrif(ied|ying)', 'scared', 'trembl(e|es|ed|ing)', 'flinch(es|ed|ing)?', 'panic(s|ked|king|ky)?', 'cower(s|ed|ing)?', 'dread(s|ed|ing)?', 'pale(d|r)?'],
+    gratitude: ['grateful(ly)?', 'gratitude', 'thank(s|ed|ing|ful|fully)?', 'appreciat(e|es|ed|ing|ive|ion)'],
+    grief: ['grie(f|fs|ve|ves|ved|ving)', 'mourn(s|ed|ing|ful)?', 'sob(s|bed|bing)?', 'weep(s|ing)?', 'wept', 'wail(s|ed|ing)?'],
+    joy: ['happ(y|ier|iest|ily|iness)', 'joy(ful|fully|ous)?', 'smil(e|es|ed|ing)', 'delight(s|ed|ful)?', 'cheer(ed|ful|fully|ing)?', 'glee(ful|fully)?'],
+    love: ['lov(e|es|ed|ing|ingly)', 'ador(e|es|ed|ing|ingly|ation)', 'affection(ate|ately)?', 'kiss(es|ed|ing)?'],
+    nervousness: ['nervous(ly|ness)?', 'anxious(ly)?', 'anxiety', 'fidget(s|ed|ing)?', 'stammer(s|ed|ing)?', 'stutter(s|ed|ing)?', 'uneas(e|y|ily)', 'sweat(s|ed|ing|y)?'],
+    pride: ['proud(ly)?', 'pride', 'smug(ly|ness)?'],
+    realization: ['realiz(e|es|ed|ing|ation)', 'realis(e|es|ed|ing|ation)', 'dawned'],
+    relief: ['relief', 'reliev(ed|ing)', 'exhal(e|es|ed|ing)', 'relax(es|ed|ing)?'],
+    remorse: ['remorse(ful|fully)?', 'guilt(y|ily)?', 'apolog(y|ies|ize|izes|ized|izing|ise|ises|ised|ising|etic|etically)', 'sorry', 'regret(s|ted|ting|ful|fully)?'],
+    sadness: ['sad(ly|ness|der|dest)?', 'sorrow(s|ful|fully)?', 'tears', 'tearful(ly)?', 'teary', 'cr(y|ies|ied|ying)', 'gloom(y|ily)?', 'mop(e|es|ed|ing)', 'sniffl(e|es|ed|ing)'],
+    surprise: ['surpris(e|es|ed|ing|ingly)', 'shock(ed|ing)?', 'gasp(s|ed|ing)?', 'startl(e|es|ed|ing)', 'stunned', 'astonish(ed|ing|ment)', 'wide-eyed'],
+};
+// phrases where a lexicon word has its neutral meaning, removed before classifyLexicon scores the text
+const LEXICON_EXCLUSIONS = [
+    'tears open', 'tears apart', 'tears off', 'tears down', 'tears through', 'tears into',
+    'raging fire', 'raging storm', 'raging river', 'raging sea', 'raging battle',
+    'pale blue', 'pale green', 'pale yellow', 'pale pink', 'pale light', 'pale moonlight',
+    'no wonder', 'thanks to',
+];
+// whole-word regex per expression compiled from EMOTION_LEXICON, and one for LEXICON_EXCLUSIONS
+const LEXICON_PATTERNS = Object.entries(EMOTION_LEXICON).map(([label, words])=>[label, new RegExp(`^(?:${words.join('|')})$`)]);
+const LEXICON_EXCLUSION_REGEX = new RegExp(`\\b(?:${LEXICON_EXCLUSIONS.join('|')})\\b`, 'g');
+// verbs that tie a quote to the name next to it ('"…," Alice said', '"…" asked Bob'), see getDialogueAttribution
+const SPEECH_VERBS = [
+    'said', 'says', 'asked', 'asks', 'replied', 'replies', 'answered', 'answers', 'whispered', 'whispers',
+    'shouted', 'shouts', 'yelled', 'yells', 'muttered', 'mutters', 'murmured', 'murmurs', 'called', 'calls',
+    'cried', 'cries', 'added', 'adds', 'continued', 'continues', 'snapped', 'snaps', 'growled', 'growls',
+    'exclaimed', 'exclaims', 'retorted', 'retorts', 'insisted', 'insists', 'demanded', 'demands', 'told', 'tells',
+];
+// words that cancel the keyword directly following them ("not happy")
+const NEGATION_WORDS = new Set(['not', 'no', 'never', 'without', "isn't", "wasn't", "didn't", "don't"]);
+// conjunctions that may start a clause with a subject of its own (see getClauseSpans)
+const CLAUSE_CONJUNCTIONS = ['and', 'but', 'while', 'whereas', 'yet', 'though', 'although'];
+
 // ============================================================================
 // HELPER FUNCTIONS - Text Parsing
 // ============================================================================
 
+/**
+ * parseDelimiterInput(inputStr)
+ * - Parses the delimiter list from the settings textarea: one delimiter per line as "open close mode",
+ *   e.g. "“ ” dialogue" or "``` ``` ignore". Mode defaults to 'ignore'; lines with fewer than two tokens are skipped.
+ * - Returns array of {open, close, mode}.
+ */
+function parseDelimiterInput(inputStr) {
+    const delimiters = [];
+    for (const line of String(inputStr ?? '').split('\n')) {
+        const [open, close, mode] = line.trim().split(/\s+/);
+        if (!open || !close) continue;
+        delimiters.push({ open, close, mode: DELIMITER_MODES.includes(mode) ? mode : 'ignore' });
+    }
+    return delimiters;
+}
+
+/**
+ * formatDelimiters(delimiters)
+ * - Inverse of parseDelimiterInput, used to fill the settings textarea.
+ */
+function formatDelimiters(delimiters) {
+    return delimiters.map(d => `${d.open} ${d.close} ${d.mode}`).join('\n');
+}
+
+/**
+ * getActiveDelimiters()
+ * - Returns the bracket-forming delimiters from settings.delimiters ('count' entries are transparent and dropped),
+ *   longest opener first so "```" wins over "`".
+ */
+function getActiveDelimiters() {
+    const source = settings?.delimiters ?? DEFAULT_DELIMITERS;
+    const key = JSON.stringify(source);
+    if (activeDelimiters.key !== key) {
+        activeDelimiters = {
+            key,
+            list: source.filter(d => d.mode !== 'count').toSorted((a, b) => b.open.length - a.open.length),
+        };
+    }
+    return activeDelimiters.list;
+}
+
 /**
  * parseBracketSpans(text)
- * - Treats double-quote (") and asterisk (*) as bracket tokens.
- * - For each opening token found, scans forward to the first matching token and returns a span [start, end) where end is closeIndex+1.
- * - If no matching closer is found, returns [openIndex, text.length).
- * - Returns array of {start, end} (end exclusive).
+ * - Finds the spans enclosed by the configured delimiters (see getActiveDelimiters), e.g. "…", “…”, 「…」, *…*, ```…```.
+ * - For each opener found, scans forward to the first matching closer and returns a span [start, end) where end is just past the closer.
+ * - Single-character delimiters never cross a newline: an unmatched one only spans to the end of its paragraph
+ *   instead of swallowing the rest of the message. Unmatched multi-character delimiters (code fences) span to the end of the text.
+ * - The "<" … ">" pair only matches tag-shaped markup ("<b>", "</i>", "<!-- … -->"): "<" followed by a letter, "/" or
+ *   "!" up to the first ">". A stray "<" ("Alice <3 Bob") is plain text.
+ * - Returns array of {start, end, mode} (end exclusive).
  */
 function parseBracketSpans(text) {
-    const tokens = new Set(['"', '*']);
+    const delimiters = getActiveDelimiters();
     const spans = [];
     for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-        if (!tokens.has(ch)) continue;
-        // find next same token
-        let j = text.indexOf(ch, i + 1);
+        const d = delimiters.find(it => text.startsWith(it.open, i));
+        if (!d) continue;
+        const isTag = d.open === '<' && d.close === '>';
+        if (isTag && !/[\p{L}/!]/u.test(text[i + 1] ?? '')) continue;
+        const from = i + d.open.length;
+        const lineEnd = d.open.length > 1 ? -1 : text.indexOf('\n', from);
+        let j = text.indexOf(d.close, from);
+        if (j !== -1 && lineEnd !== -1 && j > lineEnd) j = -1;
+        if (j === -1 && isTag) continue;
         if (j === -1) {
-            spans.push({ start: i, end: text.length });
-            break;
+            const end = lineEnd === -1 ? text.length : lineEnd;
+            spans.push({ start: i, end, mode: d.mode });
+            i = end - 1; // continue scanning after the unmatched span
+            continue;
         }
-        spans.push({ start: i, end: j + 1 });
-        i = j; // continue scanning after closer
+        spans.push({ start: i, end: j + d.close.length, mode: d.mode });
+        i = j + d.close.length - 1; // continue scanning after closer
     }
     return spans;
 }
 
+/**
+ * getDialogueSpans(text)
+ * - Returns the bracket spans whose delimiter mode is 'dialogue' as {start, end, text, weight}, weighted by
+ *   settings.dialogueWeight. Empty when the weight is 0 (names inside dialogue are ignored).
+ */
+function getDialogueSpans(text) {
+    const weight = Number(settings?.dialogueWeight) || 0;
+    if (weight <= 0) return [];
+    return parseBracketSpans(text)
+        .filter(s => s.mode === 'dialogue')
+        .map(s => ({ start: s.start, end: s.end, text: text.slice(s.start, s.end), weight }));
+}
+
 /**
  * getNonBracketSpans(text)
  * - Returns complementary spans covering text outside the bracket spans.
@@ -94,13 +304,88 @@ function getNonBracketSpans(text) {
     return spans;
 }
 
+/**
+ * parseExpressionTags(text, names)
+ * - Finds inline stage directions in text: "[Alice:anger]" / "[Alice:anger!]" and <ne name="Bob" emote="fear"/>
+ *   (optionally with lock="true"). A trailing "!" or lock="true" locks the emote.
+ * - Uses the same bracket spans as getNonBracketSpans: tags inside dialogue, *actions* or code are not directions.
+ *   A span that starts at the tag itself (the "<…>" delimiter around <ne/>) doesn't count.
+ * - Tag names resolve through aliasGroups to a name in names; tags for unknown names are ignored so ordinary
+ *   bracketed notes like "[Time:morning]" are left alone.
+ * - Returns array of {start, end, name, emote, isLocked} in text order.
+ */
+function parseExpressionTags(text, names) {
+    const tags = [];
+    if (!text || (!text.includes('[') && !text.includes('<'))) return tags;
+    const lookup = {};
+    for (const name of names) {
+        for (const alias of aliasGroups[name] || [name]) lookup[alias.toLowerCase()] ??= name;
+    }
+    const brackets = parseBracketSpans(text);
+    const re = /\[\s*([^[\]:\n]+?)\s*:\s*([\w-]+)\s*(!?)\s*\]|<ne\s+([^<>]*?)\/?>/gi;
+    for (const m of text.matchAll(re)) {
+        const start = m.index;
+        if (brackets.some(b => b.start < start && start < b.end)) continue;
+        let name = m[1];
+        let emote = m[2];
+        let isLocked = m[3] === '!';
+        if (m[4] !== undefined) {
+            const attrs = Object.fromEntries(Array.from(m[4].matchAll(/(\w+)\s*=\s*["']([^"']*)["']/g), a => [a[1].toLowerCase(), a[2].trim()]));
+            name = attrs.name;
+            emote = attrs.emote;
+            isLocked = attrs.lock !== undefined && !isFalseBoolean(attrs.lock);
+        }
+        const member = lookup[name?.trim().toLowerCase()];
+        if (!member || !emote) continue;
+        tags.push({ start, end: start + m[0].length, name: member, emote, isLocked });
+    }
+    return tags;
+}
+
+/**
+ * escapeUnicodeRegex(text)
+ * - escapeRegex for patterns with the 'u' flag, which rejects the "\\-" escape outside character classes.
+ */
+function escapeUnicodeRegex(text) {
+    return escapeRegex(text).replaceAll('\\-', '-');
+}
+
+/**
+ * makeNamePattern(name)
+ * - Pattern source (for the 'u' flag) matching name as a whole word: no letter, mark, digit or underscore may touch
+ *   it, in any script ("Zoë" doesn't match inside "Zoëlla"), and neither may a hyphen joined to another letter
+ *   ("Mary" doesn't match inside "Mary-Jane"). Possessives ("Alice's") still match.
+ * - Sides of the name written in a script without spaces (CJK, Thai, ...) get no boundary, so "アリス" matches in "アリスは".
+ * - Regex aliases ("/pattern/flags") are used as written, without their flags.
+ */
+function makeNamePattern(name) {
+    const regex = parseRegexAlias(name);
+    if (regex) {
+        // regex aliases bring their own boundaries; one that doesn't compile with the u flag never matches here
+        try {
+            new RegExp(regex.source, 'u');
+            return `(?:${regex.source})`;
+        } catch {
+            return '(?!)';
+        }
+    }
+    const chars = [...String(name)];
+    const before = NO_SPACE_SCRIPT.test(chars[0] ?? '') ? '' : '(?<![\\p{L}\\p{M}\\p{N}_]|[\\p{L}\\p{N}]-)';
+    const after = NO_SPACE_SCRIPT.test(chars.at(-1) ?? '') ? '' : '(?![\\p{L}\\p{M}\\p{N}_]|-[\\p{L}\\p{N}])';
+    return `${before}${escapeUnicodeRegex(String(name))}${after}`;
+}
+
 /**
  * makeWordRegex(name)
- * - Escapes name via escapeRegex and returns a cached RegExp using pattern (?:^|\\W)(escaped)(?:$|\\W) with 'gi' flags.
+ * - Returns a cached global RegExp matching name as a whole word (see makeNamePattern), case-insensitive unless the
+ *   alias was marked case-sensitive in the member list (see isCaseSensitiveAlias).
+ * - Regex aliases ("/pattern/flags") are compiled as written.
  * - Implements cache size limit to prevent unbounded memory growth
  */
 function makeWordRegex(name) {
-    const key = String(name).toLowerCase();
+    const regex = parseRegexAlias(name);
+    const caseSensitive = isCaseSensitiveAlias(name);
+    const key = caseSensitive || regex ? `=${name}` : String(name).toLowerCase();
     if (regexCache[key]) return regexCache[key];
 
     // Prevent unbounded cache growth
@@ -110,19 +395,25 @@ function makeWordRegex(name) {
         keys.slice(0, Math.floor(keys.length / 2)).forEach(k => delete regexCache[k]);
     }
 
-    const escaped = escapeRegex(name);
-    const pattern = `(?:^|\\W)(${escaped})(?:$|\\W)`;
-    const rx = new RegExp(pattern, 'gi');
+    let rx;
+    try {
+        rx = regex ? new RegExp(regex.source, `${regex.flags}g`) : new RegExp(makeNamePattern(name), caseSensitive ? 'gu' : 'giu');
+    } catch (ex) {
+        log('invalid alias pattern', name, ex);
+        rx = /(?!)/g;
+    }
     regexCache[key] = rx;
     return rx;
 }
 
 /**
- * countOccurrencesOutsideBrackets(name, nonBracketSpans)
+ * countOccurrencesOutsideBrackets(name, nonBracketSpans, exclusions)
  * - Counts occurrences of name (using makeWordRegex) within each non-bracket span. Returns {count, firstIndex}
+ * - Each match adds span.weight (default 1), so dialogue spans from getDialogueSpans can be passed in for reduced-weight counting.
+ * - Matches lying inside a match of one of the exclusions (RegExps from getExclusionRegexes) are not counted.
  * - firstIndex is absolute index in original text of earliest match or null if none.
  */
-function countOccurrencesOutsideBrackets(name, nonBracketSpans) {
+function countOccurrencesOutsideBrackets(name, nonBracketSpans, exclusions = []) {
     const rx = makeWordRegex(name);
     let count = 0;
     let firstIndex = null;
@@ -136,8 +427,10 @@ function countOccurrencesOutsideBrackets(name, nonBracketSpans) {
         if (matches.length && enableVerboseLogging) {
             log('matches for', name, 'span', span.start, matches.map(m=>({ match: m[0], index: m.index })));
         }
+        const excluded = exclusions.flatMap(ex => Array.from(hay.matchAll(new RegExp(ex.source, ex.flags)), e => [e.index, e.index + e[0].length]));
         for (const m of matches) {
-            count++;
+            if (excluded.some(([from, to]) => m.index >= from && m.index + m[0].length <= to)) continue;
+            count += span.weight ?? 1;
             const absIndex = span.start + m.index;
             if (firstIndex === null || absIndex < firstIndex) firstIndex = absIndex;
         }
@@ -145,18 +438,158 @@ function countOccurrencesOutsideBrackets(name, nonBracketSpans) {
     return { count, firstIndex };
 }
 
+/**
+ * countNameInSpans(name, spans)
+ * - Sums the unbracketed occurrences of name and all of its aliases (from aliasGroups) within spans, minus the ones
+ *   inside the member's exclusions (aliasExclusions).
+ * - Returns {count, firstIndex} where firstIndex is the earliest absolute match index or null.
+ */
+function countNameInSpans(name, spans) {
+    const aliases = aliasGroups[name] || [name];
+    const exclusions = getExclusionRegexes(name);
+    let count = 0;
+    let firstIndex = null;
+    for (const alias of aliases) {
+        const result = countOccurrencesOutsideBrackets(alias, spans, exclusions);
+        count += result.count;
+        if (result.firstIndex !== null && (firstIndex === null || result.firstIndex < firstIndex)) {
+            firstIndex = result.firstIndex;
+        }
+    }
+    return { count, firstIndex };
+}
+
+/**
+ * hasEnoughMentions(count)
+ * - Whether a weighted mention count (see countNameInSpans) puts a name on stage: any positive weight (so a lone
+ *   mention inside dialogue counts), and at least settings.minMentions when the user raised it above 0.
+ */
+function hasEnoughMentions(count) {
+    return count > 0 && count >= (Number(settings?.minMentions) || 0);
+}
+
+/**
+ * mergeCounts(a, b)
+ * - Combines two {count, firstIndex} results for the same name.
+ */
+function mergeCounts(a, b) {
+    if (!a) return { ...b };
+    let firstIndex = a.firstIndex;
+    if (b.firstIndex !== null && (firstIndex === null || b.firstIndex < firstIndex)) firstIndex = b.firstIndex;
+    return { count: a.count + b.count, firstIndex };
+}
+
+/**
+ * scanNameCounts(text, names)
+ * - Counts unbracketed occurrences of every name (including aliases) in text, plus weighted occurrences inside
+ *   dialogue spans (see getDialogueSpans). Returns { [name]: {count, firstIndex} }.
+ * - Scanning is incremental: counts for the stable prefix (up to the end of the last closed bracket span that does
+ *   not touch the end of the text) are cached, so while a message streams in only the newly arrived tail is rescanned.
+ *   The end of the text is never treated as stable because streaming temporarily balances an open quote/asterisk there.
+ * - The cache is dropped when the stable prefix changes (edit, swipe, other message) or the names/aliases change.
+ */
+function scanNameCounts(text, names) {
+    const key = JSON.stringify([names.map(name => aliasGroups[name] || [name]), [...caseSensitiveAliases], aliasExclusions, settings?.minMentions, getActiveDelimiters(), settings?.dialogueWeight]);
+    if (scanCache.key === key && scanCache.text === text && scanCache.result) return scanCache.result;
+    if (scanCache.key !== key || !text.startsWith(scanCache.text.slice(0, scanCache.stableEnd))) {
+        scanCache = { key, text: '', stableEnd: 0, counts: {}, result: null };
+    }
+    let stableEnd = scanCache.stableEnd;
+    for (const b of parseBracketSpans(text)) {
+        if (b.end < text.length && b.end > stableEnd) stableEnd = b.end;
+    }
+    const spans = [
+        ...getNonBracketSpans(text).map(s => ({ ...s, text: text.slice(s.start, s.end) })),
+        ...getDialogueSpans(text),
+    ];
+    const freshSpans = spans.filter(s => s.start >= scanCache.stableEnd && s.end <= stableEnd);
+    const tailSpans = spans.filter(s => s.start >= stableEnd);
+    const result = {};
+    for (const name of names) {
+        const stable = freshSpans.length
+            ? mergeCounts(scanCache.counts[name], countNameInSpans(name, freshSpans))
+            : (scanCache.counts[name] ?? { count: 0, firstIndex: null });
+        scanCache.counts[name] = stable;
+        result[name] = tailSpans.length ? mergeCounts(stable, countNameInSpans(name, tailSpans)) : { ...stable };
+    }
+    scanCache.text = text;
+    scanCache.stableEnd = stableEnd;
+    scanCache.result = result;
+    if (enableVerboseLogging) log('scanNameCounts', { stableEnd, rescanned: freshSpans.length + tailSpans.length, spans: spans.length });
+    return result;
+}
+
+/**
+ * makePhraseRegex(phrase, alias)
+ * - Builds a RegExp for an entrance/exit phrase such as "{name} walks in", where {name} matches alias as a whole word
+ *   (see makeNamePattern). Phrases without a {name} placeholder are treated as "{name} <phrase>". Results are cached.
+ * - Case-insensitive, unless the alias is case-sensitive (then the whole phrase is).
+ */
+function makePhraseRegex(phrase, alias) {
+    const caseSensitive = isCaseSensitiveAlias(alias);
+    const key = JSON.stringify([phrase, alias, caseSensitive]);
+    if (phraseRegexCache.has(key)) return phraseRegexCache.get(key);
+    if (phraseRegexCache.size >= MAX_REGEX_CACHE_SIZE) phraseRegexCache.clear();
+    const template = phrase.includes('{name}') ? phrase.trim() : `{name} ${phrase.trim()}`;
+    const pattern = template.split('{name}').map(part => escapeUnicodeRegex(part)).join(`(?:${makeNamePattern(alias)})`);
+    // word boundaries around the whole phrase, following the same script rules as names
+    const literal = [...template.replaceAll('{name}', alias)];
+    const before = NO_SPACE_SCRIPT.test(literal[0] ?? '') ? '' : '(?<![\\p{L}\\p{M}\\p{N}_])';
+    const after = NO_SPACE_SCRIPT.test(literal.at(-1) ?? '') ? '' : '(?![\\p{L}\\p{M}\\p{N}_])';
+    const rx = new RegExp(`${before}${pattern}${after}`, caseSensitive ? 'u' : 'iu');
+    phraseRegexCache.set(key, rx);
+    return rx;
+}
+
+/**
+ * applyMessageToRoster(members, mes, index, names)
+ * - Updates roster entries ({lastSeen, exited}) in members for one chat message.
+ * - A mention (narration or weighted dialogue) or an entrance phrase marks the name as seen at index; an exit phrase
+ *   (checked in narration only) marks it as exited until it is seen again in a later message.
+ */
+function applyMessageToRoster(members, mes, index, names) {
+    const text = mes?.mes ?? '';
+    if (!text || mes.is_system) return;
+    const narration = getNonBracketSpans(text).map(s => ({ ...s, text: text.slice(s.start, s.end) }));
+    const spans = [...narration, ...getDialogueSpans(text)];
+    for (const name of names) {
+        const aliases = aliasGroups[name] || [name];
+        const hasPhrase = (phrases)=>(phrases ?? []).some(phrase => aliases.some(alias => {
+            const rx = makePhraseRegex(phrase, alias);
+            return narration.some(span => rx.test(span.text));
+        }));
+        if (hasPhrase(settings.exitPhrases)) {
+            members[name] = { lastSeen: index, exited: true };
+        } else if (hasEnoughMentions(countNameInSpans(name, spans).count) || hasPhrase(settings.enterPhrases)) {
+            members[name] = { lastSeen: index, exited: false };
+        }
+    }
+}
+
 /**
  * parseMemberInput(inputStr)
  * - Parses the custom member list input string, supporting both single names
  *   and parenthesized groups of aliases.
  * - Single name:  "Alice"                -> primary "Alice", aliases ["Alice"]
  * - Group:        "(Barry, Dr. Bindle)"  -> primary "Barry", aliases ["Barry","Dr. Bindle"]
- * - Returns { primaryNames: string[], aliasGroups: { [primary]: string[] } }
+ * - Names in double quotes are matched case-sensitively: '(Will, "WILL")' -> aliases ["Will","WILL"], caseSensitive ["WILL"]
+ * - Inside a group, "/pattern/flags" entries are regex aliases (kept as written in the alias list, see parseRegexAlias)
+ *   and "!text" or "!/pattern/flags" entries are exclusions: mentions inside a match of one don't count
+ *   ("(Rose, !a rose, !the rose garden)"). Commas and parentheses inside /…/ don't end the entry or group.
+ * - Returns { primaryNames: string[], aliasGroups: { [primary]: string[] }, caseSensitive: string[], exclusions: { [primary]: string[] } }
  */
 function parseMemberInput(inputStr) {
     const primaryNames = [];
     const groups = {};
-    if (!inputStr || !inputStr.trim()) return { primaryNames, aliasGroups: groups };
+    const caseSensitive = [];
+    const exclusions = {};
+    if (!inputStr || !inputStr.trim()) return { primaryNames, aliasGroups: groups, caseSensitive, exclusions };
+    const unquote = (name)=>{
+        const match = /^"(.+)"$/.exec(name);
+        if (!match) return name;
+        caseSensitive.push(match[1]);
+        return match[1];
+    };
 
     let i = 0;
     const len = inputStr.length;
@@ -166,22 +599,37 @@ function parseMemberInput(inputStr) {
         if (i >= len) break;
 
         if (inputStr[i] === '(') {
-            // Parse parenthesized group
+            // Parse parenthesized group, entry by entry (a regex entry runs to its closing slash)
             i++; // skip '('
-            const closeIdx = inputStr.indexOf(')', i);
-            const groupStr = closeIdx === -1 ? inputStr.slice(i) : inputStr.slice(i, closeIdx);
-            const names = groupStr.split(',').map(s => s.trim()).filter(s => s.length > 0);
-            if (names.length > 0) {
-                const primary = names[0];
+            const entries = [];
+            let entry = '';
+            let inRegex = false;
+            for (; i < len; i++) {
+                const ch = inputStr[i];
+                if (ch === '/' && (inRegex ? inputStr[i - 1] !== '\\' : /^!?$/.test(entry.trim()))) inRegex = !inRegex;
+                if (!inRegex && (ch === ',' || ch === ')')) {
+                    entries.push(entry.trim());
+                    entry = '';
+                    if (ch === ')') break;
+                    continue;
+                }
+                entry += ch;
+            }
+            if (entry.trim()) entries.push(entry.trim());
+            i++; // skip ')'
+            const names = entries.filter(s => s.length > 0 && !s.startsWith('!')).map(unquote);
+            const primary = names.find(it => !parseRegexAlias(it));
+            if (primary) {
                 primaryNames.push(primary);
-                groups[primary] = names;
+                groups[primary] = [primary, ...names.filter(it => it !== primary)];
+                const excluded = entries.filter(s => s.startsWith('!') && s.length > 1).map(s => s.slice(1).trim());
+                if (excluded.length) exclusions[primary] = excluded;
             }
-            i = closeIdx === -1 ? len : closeIdx + 1;
         } else {
             // Parse single name until comma or opening parenthesis
             let end = i;
             while (end < len && inputStr[end] !== ',' && inputStr[end] !== '(') end++;
-            const name = inputStr.slice(i, end).trim();
+            const name = unquote(inputStr.slice(i, end).trim());
             if (name.length > 0) {
                 primaryNames.push(name);
                 groups[name] = [name];
@@ -189,26 +637,103 @@ function parseMemberInput(inputStr) {
             i = end;
         }
     }
-    return { primaryNames, aliasGroups: groups };
+    return { primaryNames, aliasGroups: groups, caseSensitive, exclusions };
+}
+
+/**
+ * formatMemberInput(primaryNames, groups, caseSensitive, exclusions)
+ * - Inverse of parseMemberInput: single names stay plain, names with aliases or exclusions become
+ *   "(Primary, Alias, ..., !exclusion)", case-sensitive names are quoted.
+ */
+function formatMemberInput(primaryNames, groups, caseSensitive = [], exclusions = {}) {
+    const quote = (name)=>(caseSensitive.includes(name) ? `"${name}"` : name);
+    return primaryNames
+        .map(name => {
+            const entries = [...(groups[name] ?? [name]).map(quote), ...(exclusions[name] ?? []).map(it => `!${it}`)];
+            return entries.length > 1 ? `(${entries.join(', ')})` : entries[0];
+        })
+        .join(', ');
+}
+
+/**
+ * parseRegexAlias(alias)
+ * - Returns {source, flags} for a "/pattern/flags" alias or exclusion entry, null for plain text.
+ */
+function parseRegexAlias(alias) {
+    const match = /^\/(.+)\/([dgimsuvy]*)$/.exec(String(alias));
+    if (!match) return null;
+    return { source: match[1], flags: match[2].replace('g', '') };
+}
+
+/**
+ * isCaseSensitiveAlias(alias)
+ * - Quoted aliases are case-sensitive, regex aliases unless they have the i flag, everything else is not.
+ */
+function isCaseSensitiveAlias(alias) {
+    const regex = parseRegexAlias(alias);
+    if (regex) return !regex.flags.includes('i');
+    return caseSensitiveAliases.has(alias);
+}
+
+/**
+ * getExclusionRegexes(name)
+ * - Compiled exclusion patterns of a member (see parseMemberInput): plain entries as case-insensitive whole words,
+ *   "/pattern/flags" entries as written. Invalid patterns are logged and skipped.
+ */
+function getExclusionRegexes(name) {
+    const entries = aliasExclusions[name];
+    if (!entries?.length) return [];
+    const key = `!${name}\u0000${entries.join('\u0000')}`;
+    if (regexCache[key]) return regexCache[key];
+    const list = [];
+    for (const entry of entries) {
+        const regex = parseRegexAlias(entry);
+        try {
+            list.push(regex ? new RegExp(regex.source, `${regex.flags}g`) : new RegExp(makeNamePattern(entry), 'giu'));
+        } catch (ex) {
+            log('invalid exclusion pattern', name, entry, ex);
+        }
+    }
+    regexCache[key] = list;
+    return list;
 }
 
 /**
  * updateAliasGroups()
- * - Rebuilds the module-level aliasGroups map from csettings.
+ * - Rebuilds the module-level aliasGroups map (and caseSensitiveAliases, aliasExclusions) from csettings.
  * - If membersRaw is stored (new format), parses it and also updates csettings.members.
  * - Otherwise falls back to treating each member as its own group (backward compat).
+ * - Members from lorebooks (csettings.loreCast, see refreshLoreCast) are appended after the typed ones; a typed
+ *   entry with the same name wins.
  */
 function updateAliasGroups() {
-    if (csettings?.membersRaw) {
+    caseSensitiveAliases = new Set();
+    aliasExclusions = {};
+    loreMembers = new Set();
+    const lore = csettings?.loreCast;
+    if (lore && csettings.membersRaw == null) {
+        // lore names are merged into csettings.members, keep the typed ones apart
+        csettings.membersRaw = (csettings.members ?? []).join(', ');
+    }
+    if (csettings?.membersRaw || lore) {
         const parsed = parseMemberInput(csettings.membersRaw);
         csettings.members = parsed.primaryNames;
         aliasGroups = parsed.aliasGroups;
+        caseSensitiveAliases = new Set(parsed.caseSensitive);
+        aliasExclusions = parsed.exclusions;
     } else if (csettings?.members?.length) {
         aliasGroups = {};
         csettings.members.forEach(m => { aliasGroups[m] = [m]; });
     } else {
         aliasGroups = {};
     }
+    for (const name of lore?.members ?? []) {
+        if (aliasGroups[name]) continue;
+        loreMembers.add(name);
+        csettings.members.push(name);
+        aliasGroups[name] = lore.groups[name];
+        lore.caseSensitive.filter(it=>lore.groups[name].includes(it)).forEach(it=>caseSensitiveAliases.add(it));
+    }
 }
 
 /**
@@ -216,39 +741,42 @@ function updateAliasGroups() {
  * - Returns ordered array of names present in lastMes according to occurrences outside bracket spans.
  * - Tie-break: descending count, then earliest unbracketed occurrence index, then master nameList index.
  * - If lastMes.is_user === true, force USER (nameList[0]) into slot 0.
+ * - roster (optional, from updateRoster): names in roster.present stay on stage without a mention (ordered after
+ *   mentioned names), names in roster.exited are excluded even if mentioned.
+ * - Pinned members (csettings.pinned) are always present, hidden members (csettings.hidden) never are.
+ * - In group chats the member who wrote lastMes is always present and in slot 0 (see getGroupSpeaker).
  *
  * Examples:
  * // tie-break rules: higher count first, then earliest index, then master index
  * // text: "Alice says hello to Bob and Alice" -> counts: Alice=2, Bob=1 => ['Alice','Bob']
  * // text: "(Alice) Bob Alice" -> bracketed Alice ignored, counts: Alice=1 (unbracketed), Bob=1, firstIndex tie-break by earliest occurrence
  */
-async function getPresentOrderedNames(lastMes, nameList) {
+async function getPresentOrderedNames(lastMes, nameList, roster = null) {
     const text = lastMes?.mes ?? lastMes?.message ?? lastMes?.text ?? '';
     // Determine USER name: prefer explicit custom members order (edit box) if available, else fall back to nameList[0]
-    const USER_NAME = (csettings?.members && csettings.members.length) ? csettings.members[0] : nameList?.[0];
+    // (except in group chats, where nameList only holds group members)
+    const USER_NAME = (csettings?.members && csettings.members.length) ? csettings.members[0] : (getContext().groupId == null ? nameList?.[0] : null);
     if (enableVerboseLogging) log('userNameResolution', { csettingsMembers: csettings?.members, nameListHead: nameList?.[0], USER_NAME });
     if ((!text || text.length === 0) && lastMes?.is_user) {
-        return USER_NAME ? [USER_NAME] : [];
+        return USER_NAME && !csettings?.hidden?.includes(USER_NAME) ? [USER_NAME] : [];
     }
-    const nonBracketSpans = getNonBracketSpans(text).map(s => ({ ...s, text: text.slice(s.start, s.end) }));
-    if (enableVerboseLogging) log('nonBracketSpans', nonBracketSpans);
+    const counts = scanNameCounts(text, nameList);
+    const pinned = csettings?.pinned ?? [];
+    const hidden = csettings?.hidden ?? [];
     const items = [];
     // collect counts per name for debug
     const perNameDebug = [];
     for (let i = 0; i < nameList.length; i++) {
         const name = nameList[i];
         const aliases = aliasGroups[name] || [name];
-        let totalCount = 0;
-        let earliestIndex = null;
-        for (const alias of aliases) {
-            const { count, firstIndex } = countOccurrencesOutsideBrackets(alias, nonBracketSpans);
-            totalCount += count;
-            if (firstIndex !== null && (earliestIndex === null || firstIndex < earliestIndex)) {
-                earliestIndex = firstIndex;
-            }
-        }
-        perNameDebug.push({ name, count: totalCount, firstIndex: earliestIndex, excluded: false, aliases: aliases.length > 1 ? aliases : undefined });
-        if (totalCount > 0) items.push({ name, count: totalCount, firstIndex: earliestIndex, masterIndex: i });
+        const { count: totalCount, firstIndex: earliestIndex } = counts[name];
+        const isPinned = pinned.includes(name);
+        const excluded = hidden.includes(name) || (!isPinned && !!roster?.exited.includes(name));
+        const isMentioned = hasEnoughMentions(totalCount);
+        const lingering = !excluded && !isMentioned && (isPinned || !!roster?.present.includes(name));
+        perNameDebug.push({ name, count: totalCount, firstIndex: earliestIndex, excluded, lingering, aliases: aliases.length > 1 ? aliases : undefined });
+        if (excluded) continue;
+        if (isMentioned || lingering) items.push({ name, count: totalCount, firstIndex: earliestIndex, masterIndex: i });
     }
     // Debug log: per-name counts before sorting
     if (enableVerboseLogging) log('perNameCounts', perNameDebug);
@@ -304,11 +832,258 @@ async function getPresentOrderedNames(lastMes, nameList) {
             items.unshift(u);
         }
     }
+    // Group chats: the member who wrote the message is on stage and in front, mentioned or not
+    const SPEAKER = getGroupSpeaker(lastMes);
+    if (SPEAKER && nameList.includes(SPEAKER) && !hidden.includes(SPEAKER)) {
+        const idx = items.findIndex(it => it.name === SPEAKER);
+        const [s] = idx > -1 ? items.splice(idx, 1) : [{ name: SPEAKER, count: 0, firstIndex: null, masterIndex: nameList.indexOf(SPEAKER) }];
+        s.forced = true;
+        items.unshift(s);
+    }
     // Debug: snapshot after demotion/forced adjustments
     if (enableVerboseLogging) log('afterDemotion', items.map(it=>({ name: it.name, count: it.count, firstIndex: it.firstIndex, forced: !!it.forced })));
     // Final priorities log
     if (enableVerboseLogging) log('finalPriorities', items.map(it=>({ name: it.name, count: it.count, firstIndex: it.firstIndex, forced: !!it.forced })));
-    return items.map(it => it.name);
+    return items.map(it => it.name).filter(name => !hidden.includes(name));
+}
+
+// ============================================================================
+// EMOTION DETECTION - Per-character expressions from narrator prose
+// ============================================================================
+
+/**
+ * getSentenceSpans(text)
+ * - Splits text into sentences ending at ".", "!", "?" or a newline, never splitting inside a bracket span from
+ *   parseBracketSpans so a quote stays attached to its "Alice said" tag.
+ * - Returns array of {start, end, paragraphEnd} (end exclusive). paragraphEnd is true when the sentence ends at a newline.
+ */
+function getSentenceSpans(text) {
+    const brackets = parseBracketSpans(text);
+    const spans = [];
+    let start = 0;
+    let b = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (b < brackets.length && brackets[b].start === i) {
+            i = brackets[b].end - 1;
+            b++;
+            continue;
+        }
+        const ch = text[i];
+        if (ch !== '.' && ch !== '!' && ch !== '?' && ch !== '\n') continue;
+        let end = i + 1;
+        while (end < text.length && /[.!?\n]/.test(text[end])) end++;
+        if (text.slice(start, end).trim()) {
+            spans.push({ start, end, paragraphEnd: text.slice(i, end).includes('\n') });
+        }
+        start = end;
+        i = end - 1;
+    }
+    if (text.slice(start).trim()) spans.push({ start, end: text.length, paragraphEnd: true });
+    return spans;
+}
+
+/**
+ * getClauseSpans(sentenceText, names)
+ * - Splits a sentence into clauses that can each have their own subject: at ";" and at a conjunction
+ *   (CLAUSE_CONJUNCTIONS, with or without a comma) followed by a name with a predicate of its own
+ *   ("Alice smiled, but Bob frowned.", "Alice smiled and Bob frowned.").
+ * - Joined subjects ("Alice and Bob laugh.") and objects ("Alice hugs Bob and Carol.") stay in one clause.
+ * - Never splits inside a bracket span. Returns array of {start, end} (end exclusive), without the separators.
+ */
+function getClauseSpans(sentenceText, names) {
+    const brackets = parseBracketSpans(sentenceText);
+    // text without any member name, "and" or punctuation: what is left is a predicate
+    const hasPredicate = (part)=>{
+        for (const name of names) {
+            for (const alias of aliasGroups[name] || [name]) part = part.split(alias).join(' ');
+        }
+        return /\p{L}/u.test(part.replace(/\band\b/giu, ' '));
+    };
+    const leadingName = (from)=>{
+        const rest = [{ start: from, end: sentenceText.length, text: sentenceText.slice(from) }];
+        return names.find(name => countNameInSpans(name, rest).firstIndex === from);
+    };
+    const spans = [];
+    let start = 0;
+    for (const match of sentenceText.matchAll(new RegExp(`;|,?\\s+(?:${CLAUSE_CONJUNCTIONS.join('|')})\\s+`, 'giu'))) {
+        if (brackets.some(b => match.index >= b.start && match.index < b.end)) continue;
+        const next = match.index + match[0].length;
+        if (match[0] !== ';') {
+            if (!leadingName(next) || !hasPredicate(sentenceText.slice(start, match.index))) continue;
+            if (!hasPredicate(sentenceText.slice(next).split(/[;,]/)[0])) continue;
+        }
+        spans.push({ start, end: match.index });
+        start = next;
+    }
+    spans.push({ start, end: sentenceText.length });
+    return spans;
+}
+
+/**
+ * getCharacterContexts(text, names)
+ * - Collects, per name, the clauses (see getClauseSpans) whose subject is the name (or an alias), looking only
+ *   outside bracket spans, so "Alice smiled, but Bob frowned." gives each their own clause.
+ * - The subject is the first name mentioned in the clause plus names joined to it by "and", "&" or commas
+ *   ("Alice and Bob laugh." -> both; "Alice glares at Bob." -> Alice only).
+ * - Clauses without any mention are attributed to the last subject in the same paragraph
+ *   ("Alice slammed the door. She was furious." -> both sentences belong to Alice).
+ * - Returns { [name]: string } containing only names that have context.
+ */
+function getCharacterContexts(text, names) {
+    const contexts = {};
+    let carry = [];
+    for (const sentence of getSentenceSpans(text)) {
+        const sentenceText = text.slice(sentence.start, sentence.end);
+        for (const clause of getClauseSpans(sentenceText, names)) {
+            const clauseText = sentenceText.slice(clause.start, clause.end);
+            const spans = getNonBracketSpans(clauseText).map(s => ({ ...s, text: clauseText.slice(s.start, s.end) }));
+            const mentions = names
+                .map(name => ({ name, index: countNameInSpans(name, spans).firstIndex }))
+                .filter(it => it.index !== null)
+                .sort((a, b) => a.index - b.index);
+            const subjects = mentions.slice(0, 1);
+            for (const mention of mentions.slice(1)) {
+                let gap = clauseText.slice(subjects.at(-1).index, mention.index);
+                for (const it of subjects) {
+                    for (const alias of aliasGroups[it.name] || [it.name]) gap = gap.split(alias).join(' ');
+                }
+                if (!/^(?:[\s,&]|\band\b)*$/i.test(gap)) break;
+                subjects.push(mention);
+            }
+            const owners = subjects.length ? subjects.map(it => it.name) : carry;
+            for (const name of owners) {
+                contexts[name] = contexts[name] ? `${contexts[name]} ${clauseText.trim()}` : clauseText.trim();
+            }
+            carry = owners;
+        }
+        if (sentence.paragraphEnd) carry = [];
+    }
+    return contexts;
+}
+
+/**
+ * getDialogueAttribution(text, names)
+ * - Decides who speaks each 'dialogue' span (see parseBracketSpans), in order of preference:
+ *   1. a name with a speech verb right after the quote: '"…," Alice said', '"…" asked Bob'
+ *   2. the clause before the quote ending in a comma / colon, its first name being the speaker: 'Bob asked, "…"', 'Bob: "…"'
+ *   3. a name right before the quote, separated by whitespace only: 'Alice "Hi."'
+ *   4. a name right after the quote: '"Get out!" Alice slammed the door.'
+ * - A match that is no member after all (e.g. "will" for the case-sensitive alias "WILL") doesn't end the search: the
+ *   clause before the quote is scanned on to its next name, then the next rule applies, then the previous speaker.
+ * - Unattributed quotes continue the previous speaker of the same paragraph.
+ * - Returns array of {start, end, name} for the attributed quotes, in text order.
+ */
+function getDialogueAttribution(text, names) {
+    const aliases = names.flatMap(name => (aliasGroups[name] || [name]).map(alias => ({ alias, name })))
+        .toSorted((a, b) => b.alias.length - a.alias.length);
+    if (!aliases.length) return [];
+    // one case-insensitive regex for all aliases, case-sensitive ones are checked on the matched text
+    const resolve = (match)=>aliases.find(it => {
+        const regex = parseRegexAlias(it.alias);
+        if (regex) return new RegExp(`^(?:${regex.source})$`, regex.flags).test(match);
+        return isCaseSensitiveAlias(it.alias) ? it.alias === match : it.alias.toLowerCase() === match.toLowerCase();
+    })?.name;
+    const alts = aliases.map(it => makeNamePattern(it.alias)).join('|');
+    const verbs = SPEECH_VERBS.join('|');
+    const afterRx = new RegExp(`^[\\s,.!?…—–-]*(?:(${verbs})\\s+)?(${alts})(?:\\s+(${verbs})(?![\\p{L}\\p{N}_]))?`, 'iu');
+    const nameRx = new RegExp(`(${alts})`, 'giu');
+    const adjacentRx = new RegExp(`(${alts})\\s*$`, 'iu');
+    const brackets = parseBracketSpans(text);
+    const result = [];
+    let carry = null;
+    let cursor = 0;
+    for (let i = 0; i < brackets.length; i++) {
+        const span = brackets[i];
+        const between = text.slice(cursor, span.start);
+        if (between.includes('\n')) carry = null;
+        cursor = span.end;
+        if (span.mode !== 'dialogue') continue;
+        // narration after the quote up to the end of its sentence / the next bracket span
+        const nextStart = brackets[i + 1]?.start ?? text.length;
+        const after = text.slice(span.end, nextStart).split(/(?<=[.!?])\s|\n/)[0];
+        // narration before the quote back to the start of its sentence / the previous bracket span
+        const prevEnd = brackets[i - 1]?.end ?? 0;
+        const before = text.slice(prevEnd, span.start).split(/[.!?\n]/).at(-1);
+        const afterMatch = after.match(afterRx);
+        const beforeMatches = /[,:]\s*$/.test(before) ? [...before.matchAll(nameRx)].map(it => it[1]) : [];
+        const adjacentMatch = before.match(adjacentRx);
+        // candidates in order of preference, the first one that is a member wins
+        const candidates = [
+            afterMatch && (afterMatch[1] || afterMatch[3]) ? afterMatch[2] : null,
+            ...beforeMatches,
+            adjacentMatch?.[1],
+            afterMatch?.[2],
+        ].filter(Boolean);
+        const name = candidates.map(resolve).find(Boolean) ?? carry;
+        if (!name) continue;
+        result.push({ start: span.start, end: span.end, name });
+        carry = name;
+    }
+    return result;
+}
+
+/**
+ * getActiveSpeakers(text, names)
+ * - Speakers of the last paragraph with attributed dialogue (see getDialogueAttribution), in order of speaking.
+ */
+function getActiveSpeakers(text, names) {
+    const attribution = getDialogueAttribution(text, names);
+    if (!attribution.length) return [];
+    const paragraphStart = text.lastIndexOf('\n', attribution.at(-1).start) + 1;
+    return [...new Set(attribution.filter(it => it.start >= paragraphStart).map(it => it.name))];
+}
+
+/**
+ * classifyLexicon(text)
+ * - Scores every expression in EMOTION_LEXICON by counting the words that are one of its keywords, skipping
+ *   words directly preceded by a negation and phrases from LEXICON_EXCLUSIONS. Returns the best label or null if
+ *   nothing matched.
+ */
+function classifyLexicon(text) {
+    const words = text.toLowerCase().replace(LEXICON_EXCLUSION_REGEX, ' ').match(/[a-z][a-z'-]*/g) ?? [];
+    const scores = {};
+    for (let i = 0; i < words.length; i++) {
+        if (i > 0 && NEGATION_WORDS.has(words[i - 1])) continue;
+        for (const [label, pattern] of LEXICON_PATTERNS) {
+            if (pattern.test(words[i])) scores[label] = (scores[label] ?? 0) + 1;
+        }
+    }
+    let best = null;
+    for (const [label, score] of Object.entries(scores)) {
+        if (!best || score > scores[best]) best = label;
+    }
+    return best;
+}
+
+/**
+ * classifyEndpoint(text)
+ * - Sends text to settings.classifierUrl (defaults to SillyTavern's local classify pipeline) and returns the top label.
+ * - Accepts either {classification:[{label,score}]} (SillyTavern) or {label} responses. Returns null on failure.
+ */
+async function classifyEndpoint(text) {
+    try {
+        const resp = await fetch(settings.classifierUrl, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ text: text.slice(0, 500) }),
+        });
+        if (!resp.ok) return null;
+        const data = await resp.json();
+        return data?.classification?.[0]?.label ?? data?.label ?? null;
+    } catch (ex) {
+        log('classifier endpoint failed', ex);
+        return null;
+    }
+}
+
+/**
+ * classifyEmotion(text)
+ * - Dispatches to the classifier selected by settings.emotionSource. Returns an expression label or null.
+ */
+async function classifyEmotion(text) {
+    if (!text) return null;
+    if (settings.emotionSource === 'endpoint') return await classifyEndpoint(text);
+    return classifyLexicon(text);
 }
 
 // ============================================================================
@@ -336,12 +1111,20 @@ let root;
 let leftArea; // DOM container covering left empty side-space
 /**@type {HTMLElement} */
 let rightArea; // DOM container covering right empty side-space
+/**@type {HTMLElement} */
+let bench; // DOM container for the thumbnail row of present characters beyond the slot limit
 /**@type {HTMLElement[]} */
 let imgs = [];
 /**@type {String[]} */
 let nameList = [];
 /**@type {Object<string, string[]>} primary name -> [all aliases including self] */
 let aliasGroups = {};
+/**@type {Set<string>} Aliases (and names) matched case-sensitively, quoted in the member list */
+let caseSensitiveAliases = new Set();
+/**@type {Object<string, string[]>} primary name -> exclusion entries ("!…" in the member list, see getExclusionRegexes) */
+let aliasExclusions = {};
+/**@type {Set<string>} Members that come from the lorebook cast only (not typed), see updateAliasGroups */
+let loreMembers = new Set();
 /**@type {String} */
 let current;
 /**@type {Boolean} */
@@ -350,11 +1133,41 @@ let busy = false;
 let previousNameCounts = {};
 /**@type {HTMLElement} */
 let modalOverlay; // Modal overlay for zoomed image view
-
-
-
+/**@type {Map<string, Promise<string[]>>} sprite folder -> sprite URLs listed by /api/sprites/get (null = listing unavailable) */
+let spriteManifest = new Map();
+/**@type {Map<string, Promise<boolean>>} sprite URL -> exists, for files the listing can't cover (HEAD fallback) */
+let spriteProbes = new Map();
+/**@type {Set<string>} Members without any sprite (not even the default expression), shown with a fallback (see findSprite) */
+let missingSprites = new Set();
+/**@type {Object<string, string>} Expression last applied per name by prose emotion detection */
+let detectedEmotes = {};
+/**@type {String} Message text + names the detected emotes were computed for */
+let lastEmotionKey = null;
+/**@type {String} Identity (index, swipe, text hash) of the last message whose expression snapshot was synced */
+let historyId = null;
+/**@type {Boolean} True while a message is streaming in (emotion detection waits for the final text) */
+let streaming = false;
+
+
+
+/**@type {Number} Index of the past message the stage is showing (null = live, following the last message) */
+let viewedMessageId = null;
+/**@type {Object} Expression snapshot of the viewed message ({emotes, detected}), used instead of the live expressions */
+let viewSnapshot = null;
+/**@type {{key: string, points: Map<number, {anchor: string, members: Object}>}} Roster states every ROSTER_CHECKPOINT_EVERY messages (not saved), so viewing past messages resumes instead of replaying the chat (see updateRoster) */
+let rosterCheckpoints = null;
+/**@type {HTMLElement} */
+let viewBadge; // "viewing message #n" indicator, click to return to live
+/**@type {String} Text of the cast prompt last handed to setExtensionPrompt (null = not set yet) */
+let castPromptText = null;
+/**@type {Set<string>} Sprite URLs already preloaded by prefetchExpressions */
+let prefetched = new Set();
 /**@type {MutationObserver} */
 let mo;
+/**@type {Promise} The running (or last) chatChanged, CHAT_CREATED waits for it */
+let chatChanging = Promise.resolve();
+/**@type {String} Chat the bound cast preset was last applied to (see applyBoundCastPreset) */
+let castPresetChatId = null;
 
 // ============================================================================
 // UI COMPONENTS - Modal & Settings
@@ -362,7 +1175,7 @@ let mo;
 
 /**
  * showZoomedImage(imgElement)
- * - Creates a modal overlay with a zoomed version of the clicked image
+ * - Creates a modal overlay with a zoomed version of the clicked image or video sprite
  * - Image is scaled to fill the viewport while maintaining aspect ratio
  * - Clicking the modal dismisses it
  */
@@ -405,8 +1218,15 @@ const showZoomedImage = (imgElement) => {
         modalOverlay.addEventListener('click', hideZoomedImage);
     }
 
-    // Set the image source and show modal
-    const zoomedImg = modalOverlay.querySelector('.stne--modal-img');
+    // Set the image source (swapping the zoomed element between <img> and <video> to match the sprite) and show modal
+    let zoomedImg = modalOverlay.querySelector('.stne--modal-img');
+    if (zoomedImg && zoomedImg.tagName !== imgElement.tagName) {
+        const replacement = createSpriteElement(imgElement.tagName === 'VIDEO');
+        replacement.classList.add('stne--modal-img');
+        replacement.style.cssText = zoomedImg.style.cssText;
+        zoomedImg.replaceWith(replacement);
+        zoomedImg = replacement;
+    }
     if (zoomedImg) {
         zoomedImg.src = imgElement.src;
     }
@@ -448,10 +1268,39 @@ const initSettings = () => {
         expression: 'joy',
         transparentMenu: false,
         extensions: ['png','webp'],
-        placementMode: 'center', // new setting: 'center' (full-height centered) or 'width' (scale by available width)
+        streamThrottle: 250, // minimum ms between stage updates while a message is streaming
+        emotionSource: 'lexicon', // 'lexicon' / 'endpoint' = per-character detection from prose, 'expressions' = mirror the Expressions extension (legacy)
+        classifierUrl: '/api/extra/classify', // endpoint used when emotionSource is 'endpoint'
+        maxSlots: 4, // maximum number of full-size stage slots, split across the left/right side areas
+        showBench: true, // show present characters beyond maxSlots as small thumbnails on the bench row
+        benchSize: 64, // bench row height in px
+        delimiters: DEFAULT_DELIMITERS.map(d => ({ ...d })), // paired delimiters for presence detection (see parseBracketSpans)
+        minMentions: 0, // weighted mentions a name needs in a message to count as present (0 = any, see hasEnoughMentions)
+        dialogueWeight: 0, // weight of name mentions inside 'dialogue' delimiters (0 = ignored, 1 = same as narration)
+        expressionTags: true, // apply inline tags like [Alice:anger] or <ne name="Bob" emote="fear"/> from messages as emotes
+        lockTagEmotes: false, // emotes set by tags are locked (otherwise the next detected expression replaces them)
+        hideExpressionTags: true, // remove expression tags from the rendered message text
+        dimNonSpeakers: false, // dim everyone but the active speaker(s) while someone is highlighted
+        crossfadeDuration: 300, // ms to crossfade between expressions (0 = instant; always instant with prefers-reduced-motion)
+        followScroll: false, // while scrolled up, show the stage as it was at the message in the middle of the chat
+        castPresets: [], // named casts ({name, cast, boundTo: ['char:<avatar>' / 'group:<id>']}), see getBoundCastPreset
+        castPrompt: false, // inject the cast, aliases, available expressions and tag syntax into the prompt
+        castPromptPosition: extension_prompt_types.IN_CHAT, // extension_prompt_types value for the cast prompt
+        castPromptDepth: 4, // chat depth of the cast prompt when castPromptPosition is IN_CHAT
+        rosterLinger: 2, // messages a character stays on stage after the last mention (0 = current message only, -1 = until they exit)
+        enterPhrases: [...DEFAULT_ENTER_PHRASES], // phrases that put a character on stage ({name} = member or alias)
+        exitPhrases: [...DEFAULT_EXIT_PHRASES], // phrases that take a character off stage
+        placementMode: 'center', // 'center' (full-height centered), 'width' (scale by available width), 'strip' (small sprites above the input box) or 'overlay' (translucent, behind the chat column)
+        narrowPlacementMode: 'strip', // placement mode used instead when the side space is below narrowSpaceThreshold
+        narrowSpaceThreshold: 150, // px of side space (wider side) below which narrowPlacementMode is used, 0 = never
+        stripHeight: 96, // strip mode bar height in px
         orderingStrategy: 'first-appearance', // 'count' = order by occurrence count (legacy), 'first-appearance' = order by earliest unbracketed appearance
     }, extension_settings.groupExpressions ?? {});
     extension_settings.groupExpressions = settings;
+    // earlier defaults had '{name} left', which also matches "Alice left the cup on the table"
+    if (settings.exitPhrases.join('\n') === ['{name} leaves', '{name} left', ...DEFAULT_EXIT_PHRASES.slice(1)].join('\n')) {
+        settings.exitPhrases = [...DEFAULT_EXIT_PHRASES];
+    }
 
     const html = `
     <div class="stne--settings">
@@ -479,8 +1328,59 @@ const initSettings = () => {
                         <select class="text_pole" id="stne--placementMode">
                             <option value="center">Center</option>
                             <option value="width">Width</option>
+                            <option value="strip">Strip above the input box</option>
+                            <option value="overlay">Overlay behind the chat</option>
+                        </select>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Placement mode on narrow screens
+                        <select class="text_pole" id="stne--narrowPlacementMode">
+                            <option value="strip">Strip above the input box</option>
+                            <option value="overlay">Overlay behind the chat</option>
                         </select>
                     </label>
+                    <label>
+                        when the side space is below <small>(px, 0 = never)</small>
+                        <input type="number" class="text_pole" id="stne--narrowSpaceThreshold" min="0" max="2000" step="10" value="${settings.narrowSpaceThreshold}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Strip height <small>(px)</small>
+                        <input type="number" class="text_pole" id="stne--stripHeight" min="32" max="400" step="4" value="${settings.stripHeight}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Stage slots <small>(maximum number of full-size characters)</small>
+                        <input type="number" class="text_pole" id="stne--maxSlots" min="1" max="12" step="1" value="${settings.maxSlots}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--showBench" ${settings.showBench ? 'checked' : ''}>
+                        Show characters beyond the slot limit on the bench
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Bench thumbnail height <small>(px)</small>
+                        <input type="number" class="text_pole" id="stne--benchSize" min="24" max="256" step="4" value="${settings.benchSize}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--dimNonSpeakers" ${settings.dimNonSpeakers ? 'checked' : ''}>
+                        Dim characters who aren't speaking <small>(speakers are taken from dialogue like <code>"…," Alice said</code>)</small>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Expression crossfade <small>(ms, 0 = instant; off when the system asks for reduced motion)</small>
+                        <input type="number" class="text_pole" id="stne--crossfadeDuration" min="0" max="3000" step="50" value="${settings.crossfadeDuration}">
+                    </label>
                 </div>
                 <div class="flex-container">
                     <label>
@@ -493,115 +1393,477 @@ const initSettings = () => {
                 </div>
                 <div class="flex-container">
                     <label>
-                        Chat path <small>(extra directory under /characters/, <strong>saved in chat</strong>)</small>
-                        <input type="text" class="text_pole" id="stne--path" placeholder="Alice&Friends" value="" disabled>
+                        Emotion source
+                        <select class="text_pole" id="stne--emotionSource">
+                            <option value="lexicon">Narrator prose (built-in lexicon)</option>
+                            <option value="endpoint">Narrator prose (classifier endpoint)</option>
+                            <option value="expressions">Expressions extension (last speaker only)</option>
+                        </select>
                     </label>
                 </div>
                 <div class="flex-container">
                     <label>
-                        Custom character list <small>(comma separated names or (alias groups), <strong>saved in chat</strong>)</small>
-                        <input type="text" class="text_pole" id="stne--members" placeholder="Alice, (Bob, Bobby), Carol" value="" disabled>
+                        Classifier endpoint <small>(POST <code>{text}</code>, returns <code>{classification:[{label}]}</code> or <code>{label}</code>)</small>
+                        <input type="text" class="text_pole" id="stne--classifierUrl" value="${escapeHtml(settings.classifierUrl)}">
                     </label>
                 </div>
                 <div class="flex-container">
                     <label>
-                        File extensions <small>(comma-separated list, e.g. <code>png,gif,webp</code>)</small>
-                        <input type="text" class="text_pole" id="stne--extensions" value="${settings.extensions.join(',')}">
+                        Streaming update interval <small>(ms between stage updates while a message streams in)</small>
+                        <input type="number" class="text_pole" id="stne--streamThrottle" min="0" step="50" value="${settings.streamThrottle}">
                     </label>
                 </div>
                 <div class="flex-container">
                     <label>
-                        Default expression to be used
-                        <select class="text_pole" id="stne--expression"></select>
+                        Delimiters <small>(one per line: <code>open close mode</code>, mode is <code>dialogue</code>, <code>ignore</code> or <code>count</code>)</small>
+                        <textarea class="text_pole" id="stne--delimiters" rows="5"></textarea>
                     </label>
                 </div>
-            </div>
-        </div>
-    </div>
-`;
-    $('#extensions_settings').append(html);
-    window.addEventListener('click', ()=>{
-        updateSettingsBackground();
-    });
-    document.querySelector('#stne--isEnabled').addEventListener('click', ()=>{
-        settings.isEnabled = document.querySelector('#stne--isEnabled').checked;
-        saveSettingsDebounced();
-        restart();
-    });
-    document.querySelector('#stne--transparentMenu').addEventListener('click', ()=>{
-        settings.transparentMenu = document.querySelector('#stne--transparentMenu').checked;
-        saveSettingsDebounced();
-    });
-
-    // initialize placement mode selector value
-    const placementSel = document.querySelector('#stne--placementMode');
-    if (placementSel) placementSel.value = settings.placementMode;
-    placementSel?.addEventListener('change', ()=>{
-        // save setting, debounce, and immediately update UI via data attribute without restarting
-        settings.placementMode = document.querySelector('#stne--placementMode').value;
-        saveSettingsDebounced();
-        if (root) {
-            root.dataset.placementMode = settings.placementMode;
-            // update side sizes/areas immediately so image wrappers move to correct containers
-            updateSideSizes();
+                <div class="flex-container">
+                    <label>
+                        Dialogue weight <small>(how much a name inside dialogue counts toward presence, 0 = ignored)</small>
+                        <input type="number" class="text_pole" id="stne--dialogueWeight" min="0" max="1" step="0.1" value="${settings.dialogueWeight}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--expressionTags" ${settings.expressionTags ? 'checked' : ''}>
+                        Apply expression tags from messages <small>(<code>[Alice:anger]</code>, <code>&lt;ne name="Bob" emote="fear"/&gt;</code>, <code>!</code> or <code>lock="true"</code> locks)</small>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--lockTagEmotes" ${settings.lockTagEmotes ? 'checked' : ''}>
+                        Lock all emotes set by tags
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--hideExpressionTags" ${settings.hideExpressionTags ? 'checked' : ''}>
+                        Hide expression tags in messages
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--followScroll" ${settings.followScroll ? 'checked' : ''}>
+                        Stage follows the chat scroll position <small>(shows past messages while scrolled up)</small>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--castPrompt" ${settings.castPrompt ? 'checked' : ''}>
+                        Add the cast and available expressions to the prompt
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Cast prompt position
+                        <select class="text_pole" id="stne--castPromptPosition">
+                            <option value="${extension_prompt_types.IN_CHAT}">In chat (at depth)</option>
+                            <option value="${extension_prompt_types.IN_PROMPT}">After story string</option>
+                            <option value="${extension_prompt_types.BEFORE_PROMPT}">Before story string</option>
+                        </select>
+                    </label>
+                    <label>
+                        Depth
+                        <input type="number" class="text_pole" id="stne--castPromptDepth" min="0" step="1" value="${settings.castPromptDepth}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Minimum mentions <small>(a name needs at least this many mentions in a message to be put on stage; mentions in dialogue count as the dialogue weight, 0 = any mention)</small>
+                        <input type="number" class="text_pole" id="stne--minMentions" min="0" step="0.5" value="${settings.minMentions}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Scene persistence <small>(messages a character stays on stage after the last mention, -1 = until they exit)</small>
+                        <input type="number" class="text_pole" id="stne--rosterLinger" min="-1" step="1" value="${settings.rosterLinger}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Entrance phrases <small>(one per line, <code>{name}</code> = member or alias)</small>
+                        <textarea class="text_pole" id="stne--enterPhrases" rows="3"></textarea>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Exit phrases <small>(one per line, <code>{name}</code> = member or alias)</small>
+                        <textarea class="text_pole" id="stne--exitPhrases" rows="3"></textarea>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Chat path <small>(extra directory under /characters/, <strong>saved in chat</strong>)</small>
+                        <input type="text" class="text_pole" id="stne--path" placeholder="Alice&Friends" value="" disabled>
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Custom character list <small>(comma separated names or (alias groups), <code>"Name"</code> in quotes = case-sensitive, <code>/regex/i</code> aliases and <code>!exclusions</code> inside groups, <strong>saved in chat</strong>)</small>
+                        <input type="text" class="text_pole" id="stne--members" placeholder="Alice, (Bob, Bobby), Carol" value="" disabled>
+                    </label>
+                </div>
+                <div class="stne--missingSprites" id="stne--missingSprites" hidden></div>
+                <div class="flex-container flexFlowColumn">
+                    <label>
+                        Members from lorebooks <small>(each entry becomes a member: its comment, or else its first key, is the name and its keys are the aliases; <code>Name @folder</code> in the comment sets the sprite folder, <strong>saved in chat</strong>)</small>
+                        <select class="text_pole" id="stne--loreBooks" multiple disabled></select>
+                    </label>
+                    <div class="flex-container">
+                        <input type="text" class="text_pole flex1" id="stne--loreTag" placeholder="Only entries with this tag in their comment, e.g. #cast (the chat's active books if none selected)" disabled>
+                        <div class="menu_button fa-solid fa-rotate" id="stne--refreshLore" title="Read the lorebook entries again"></div>
+                    </div>
+                </div>
+                <div class="flex-container flexFlowColumn">
+                    <small>SillyTavern can't list the folders under the chat path, so Discover checks card names, group members and capitalized names used in this chat. Add other folder names (lowercase, other scripts, never mentioned) to check them too.</small>
+                    <div class="flex-container">
+                        <input type="text" class="text_pole flex1" id="stne--discoverExtra" placeholder="Also check these folder names (comma separated)">
+                        <div class="menu_button" id="stne--discoverMembers" title="Look for sprite folders under the chat path matching card names, names used in this chat and the names entered here">
+                            <i class="fa-solid fa-magnifying-glass"></i> Discover
+                        </div>
+                    </div>
+                </div>
+                <div class="flex-container flexFlowColumn" id="stne--discover"></div>
+                <div class="flex-container">
+                    <div class="menu_button" id="stne--exportCast" title="Save this chat's path, members, aliases, emotes and member settings as a JSON file">
+                        <i class="fa-solid fa-file-export"></i> Export cast
+                    </div>
+                    <div class="menu_button" id="stne--importCast" title="Replace this chat's cast with one from an exported JSON file">
+                        <i class="fa-solid fa-file-import"></i> Import cast
+                    </div>
+                    <input type="file" id="stne--importCastFile" accept=".json,application/json" hidden>
+                </div>
+                <div class="flex-container flexFlowColumn">
+                    <div>Cast presets <small>(a preset bound to the card / group is applied to its new chats)</small></div>
+                    <div class="flex-container">
+                        <select class="text_pole flex1" id="stne--castPreset"></select>
+                        <div class="menu_button fa-solid fa-play" id="stne--applyCastPreset" title="Apply the preset to this chat"></div>
+                        <div class="menu_button fa-solid fa-trash-can" id="stne--deleteCastPreset" title="Delete the preset"></div>
+                    </div>
+                    <div class="flex-container">
+                        <input type="text" class="text_pole flex1" id="stne--castPresetName" placeholder="Preset name">
+                        <div class="menu_button fa-solid fa-floppy-disk" id="stne--saveCastPreset" title="Save this chat's cast under the name (replaces a preset with that name)"></div>
+                        <div class="menu_button fa-solid fa-pen" id="stne--renameCastPreset" title="Rename the selected preset to the name"></div>
+                    </div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="stne--bindCastPreset">
+                        <span id="stne--bindCastPresetLabel">Use for new chats with this card</span>
+                    </label>
+                </div>
+                <div class="flex-container flexFlowColumn">
+                    <div>Member display <small>(side, scale, offset in % of the sprite, which way the sprite faces; <strong>saved in chat</strong>)</small></div>
+                    <div class="flex-container flexFlowColumn" id="stne--memberDisplay"></div>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        File extensions <small>(comma-separated list, e.g. <code>png,gif,webp</code>, video types like <code>webm,mp4</code> play as silent loops)</small>
+                        <input type="text" class="text_pole" id="stne--extensions" value="${settings.extensions.join(',')}">
+                    </label>
+                </div>
+                <div class="flex-container">
+                    <div class="menu_button" id="stne--rescanSprites" title="Forget the cached sprite lists and scan the sprite folders again">
+                        <i class="fa-solid fa-rotate"></i> Rescan sprites
+                    </div>
+                </div>
+                <div class="flex-container">
+                    <label>
+                        Default expression to be used
+                        <select class="text_pole" id="stne--expression"></select>
+                    </label>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+    $('#extensions_settings').append(html);
+    window.addEventListener('click', ()=>{
+        updateSettingsBackground();
+    });
+    document.querySelector('#stne--isEnabled').addEventListener('click', ()=>{
+        settings.isEnabled = document.querySelector('#stne--isEnabled').checked;
+        saveSettingsDebounced();
+        restart();
+    });
+    document.querySelector('#stne--transparentMenu').addEventListener('click', ()=>{
+        settings.transparentMenu = document.querySelector('#stne--transparentMenu').checked;
+        saveSettingsDebounced();
+    });
+
+    // initialize placement mode selector value
+    const placementSel = document.querySelector('#stne--placementMode');
+    if (placementSel) placementSel.value = settings.placementMode;
+    placementSel?.addEventListener('change', ()=>{
+        // save setting, debounce, and immediately update UI via data attribute without restarting
+        settings.placementMode = document.querySelector('#stne--placementMode').value;
+        saveSettingsDebounced();
+        if (root) {
+            // update side sizes/areas immediately so image wrappers move to correct containers
+            updateSideSizes();
+            requestStageUpdate();
         }
     });
+    const narrowSel = /**@type {HTMLSelectElement}*/(document.querySelector('#stne--narrowPlacementMode'));
+    narrowSel.value = settings.narrowPlacementMode;
+    narrowSel.addEventListener('change', ()=>{
+        settings.narrowPlacementMode = narrowSel.value;
+        saveSettingsDebounced();
+        updateSideSizes();
+    });
+    document.querySelector('#stne--narrowSpaceThreshold').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--narrowSpaceThreshold').value);
+        settings.narrowSpaceThreshold = Number.isFinite(value) && value >= 0 ? value : 150;
+        saveSettingsDebounced();
+        updateSideSizes();
+    });
+    document.querySelector('#stne--stripHeight').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--stripHeight').value);
+        settings.stripHeight = Number.isFinite(value) && value > 0 ? value : 96;
+        saveSettingsDebounced();
+        updateSideSizes();
+    });
+    document.querySelector('#stne--maxSlots').addEventListener('input', ()=>{
+        const value = Math.floor(Number(document.querySelector('#stne--maxSlots').value));
+        settings.maxSlots = Number.isFinite(value) && value >= 1 ? value : 4;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+    document.querySelector('#stne--showBench').addEventListener('click', ()=>{
+        settings.showBench = document.querySelector('#stne--showBench').checked;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+    document.querySelector('#stne--benchSize').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--benchSize').value);
+        settings.benchSize = Number.isFinite(value) && value > 0 ? value : 64;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
     // initialize ordering strategy selector value
     const orderingSel = document.querySelector('#stne--orderingStrategy');
     if (orderingSel) orderingSel.value = settings.orderingStrategy ?? 'first-appearance';
     orderingSel?.addEventListener('change', ()=>{
         settings.orderingStrategy = document.querySelector('#stne--orderingStrategy').value;
         saveSettingsDebounced();
+        requestStageUpdate();
+    });
+
+    const emotionSel = document.querySelector('#stne--emotionSource');
+    emotionSel.value = settings.emotionSource;
+    emotionSel.addEventListener('change', ()=>{
+        settings.emotionSource = emotionSel.value;
+        saveSettingsDebounced();
+        restart();
+    });
+    document.querySelector('#stne--classifierUrl').addEventListener('input', ()=>{
+        settings.classifierUrl = document.querySelector('#stne--classifierUrl').value.trim() || '/api/extra/classify';
+        saveSettingsDebounced();
+    });
+
+    document.querySelector('#stne--dimNonSpeakers').addEventListener('click', ()=>{
+        settings.dimNonSpeakers = document.querySelector('#stne--dimNonSpeakers').checked;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+    document.querySelector('#stne--crossfadeDuration').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--crossfadeDuration').value);
+        settings.crossfadeDuration = Number.isFinite(value) && value >= 0 ? value : 300;
+        saveSettingsDebounced();
+        root?.style.setProperty('--stne-fade-duration', `${getCrossfadeDuration()}ms`);
+    });
+
+    document.querySelector('#stne--streamThrottle').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--streamThrottle').value);
+        settings.streamThrottle = Number.isFinite(value) && value >= 0 ? value : 250;
+        saveSettingsDebounced();
+    });
+
+    const delimitersEl = document.querySelector('#stne--delimiters');
+    delimitersEl.value = formatDelimiters(settings.delimiters);
+    delimitersEl.addEventListener('input', ()=>{
+        settings.delimiters = parseDelimiterInput(delimitersEl.value);
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+    document.querySelector('#stne--dialogueWeight').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--dialogueWeight').value);
+        settings.dialogueWeight = Number.isFinite(value) && value >= 0 ? value : 0;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+
+    document.querySelector('#stne--expressionTags').addEventListener('click', ()=>{
+        settings.expressionTags = document.querySelector('#stne--expressionTags').checked;
+        saveSettingsDebounced();
+    });
+    document.querySelector('#stne--lockTagEmotes').addEventListener('click', ()=>{
+        settings.lockTagEmotes = document.querySelector('#stne--lockTagEmotes').checked;
+        saveSettingsDebounced();
+    });
+    document.querySelector('#stne--hideExpressionTags').addEventListener('click', ()=>{
+        settings.hideExpressionTags = document.querySelector('#stne--hideExpressionTags').checked;
+        saveSettingsDebounced();
+        hideExpressionTags();
+    });
+
+    document.querySelector('#stne--followScroll').addEventListener('click', ()=>{
+        settings.followScroll = document.querySelector('#stne--followScroll').checked;
+        saveSettingsDebounced();
+        if (settings.followScroll) onChatScroll();
+        else setStageView(null);
+    });
+    document.querySelector('#stne--castPrompt').addEventListener('click', ()=>{
+        settings.castPrompt = document.querySelector('#stne--castPrompt').checked;
+        saveSettingsDebounced();
+        updateCastPrompt(true);
+    });
+    const castPositionSel = document.querySelector('#stne--castPromptPosition');
+    castPositionSel.value = String(settings.castPromptPosition);
+    castPositionSel.addEventListener('change', ()=>{
+        settings.castPromptPosition = Number(castPositionSel.value);
+        saveSettingsDebounced();
+        updateCastPrompt(true);
+    });
+    document.querySelector('#stne--castPromptDepth').addEventListener('input', ()=>{
+        const value = Math.floor(Number(document.querySelector('#stne--castPromptDepth').value));
+        settings.castPromptDepth = Number.isFinite(value) && value >= 0 ? value : 4;
+        saveSettingsDebounced();
+        updateCastPrompt(true);
+    });
+
+    document.querySelector('#stne--minMentions').addEventListener('input', ()=>{
+        const value = Number(document.querySelector('#stne--minMentions').value);
+        settings.minMentions = Number.isFinite(value) && value >= 0 ? value : 0;
+        saveSettingsDebounced();
+        requestStageUpdate();
+    });
+
+    document.querySelector('#stne--rosterLinger').addEventListener('input', ()=>{
+        const value = Math.floor(Number(document.querySelector('#stne--rosterLinger').value));
+        settings.rosterLinger = Number.isFinite(value) && value >= -1 ? value : 2;
+        saveSettingsDebounced();
+        requestStageUpdate();
     });
+    for (const key of ['enterPhrases', 'exitPhrases']) {
+        const el = document.querySelector(`#stne--${key}`);
+        el.value = settings[key].join('\n');
+        // changed phrases rebuild the roster from the first message (see updateRoster): wait until typing pauses
+        el.addEventListener('input', debounceAsync(()=>{
+            settings[key] = el.value.split('\n').map(it=>it.trim()).filter(it=>it.length);
+            saveSettingsDebounced();
+            requestStageUpdate();
+        }, 500));
+    }
 
     document.querySelector('#stne--path').addEventListener('input', ()=>{
         csettings.path = document.querySelector('#stne--path').value;
         chat_metadata.groupExpressions = csettings;
         saveMetadataDebounced();
+        clearSpriteManifest();
+        restart();
     });
+    // changed names rebuild the roster from the first message (see updateRoster): update the stage once typing pauses
+    const applyMembers = debounceAsync(()=>{
+        chat_metadata.groupExpressions = csettings;
+        saveMetadataDebounced();
+        renderMemberDisplaySettings();
+        requestStageUpdate();
+    }, 500);
     document.querySelector('#stne--members').addEventListener('input', ()=>{
         csettings.membersRaw = document.querySelector('#stne--members').value;
         updateAliasGroups();
+        applyMembers();
+    });
+    const updateLoreCast = async()=>{
         chat_metadata.groupExpressions = csettings;
         saveMetadataDebounced();
+        if (await refreshLoreCast()) requestStageUpdate();
+    };
+    document.querySelector('#stne--loreBooks').addEventListener('change', ()=>{
+        csettings.loreBooks = [.../**@type {HTMLSelectElement}*/(document.querySelector('#stne--loreBooks')).selectedOptions].map(it=>it.value);
+        updateLoreCast();
+    });
+    document.querySelector('#stne--loreTag').addEventListener('change', ()=>{
+        csettings.loreTag = /**@type {HTMLInputElement}*/(document.querySelector('#stne--loreTag')).value.trim();
+        updateLoreCast();
+    });
+    document.querySelector('#stne--refreshLore').addEventListener('click', ()=>updateLoreCast());
+    document.querySelector('#stne--discoverMembers').addEventListener('click', ()=>discoverMembers());
+    document.querySelector('#stne--exportCast').addEventListener('click', ()=>{
+        if (getContext().chatId == null) return;
+        download(JSON.stringify(exportCast(), null, 4), `${getContext().chatId}.cast.json`, 'application/json');
+    });
+    const presetSel = /**@type {HTMLSelectElement}*/(document.querySelector('#stne--castPreset'));
+    const presetName = /**@type {HTMLInputElement}*/(document.querySelector('#stne--castPresetName'));
+    presetSel.addEventListener('change', ()=>renderCastPresets(presetSel.value));
+    document.querySelector('#stne--applyCastPreset').addEventListener('click', async()=>{
+        const preset = settings.castPresets.find(it=>it.name == presetSel.value);
+        if (!preset || getContext().chatId == null) return;
+        await importCast(preset.cast);
+    });
+    document.querySelector('#stne--deleteCastPreset').addEventListener('click', ()=>{
+        settings.castPresets = settings.castPresets.filter(it=>it.name != presetSel.value);
+        saveSettingsDebounced();
+        renderCastPresets();
+    });
+    document.querySelector('#stne--saveCastPreset').addEventListener('click', ()=>{
+        const name = presetName.value.trim() || presetSel.value;
+        if (!name || getContext().chatId == null) return;
+        const existing = settings.castPresets.find(it=>it.name == name);
+        if (existing) existing.cast = exportCast();
+        else settings.castPresets.push({ name, cast: exportCast(), boundTo: [] });
+        presetName.value = '';
+        saveSettingsDebounced();
+        renderCastPresets(name);
+    });
+    document.querySelector('#stne--renameCastPreset').addEventListener('click', ()=>{
+        const preset = settings.castPresets.find(it=>it.name == presetSel.value);
+        const name = presetName.value.trim();
+        if (!preset || !name || settings.castPresets.some(it=>it.name == name)) return;
+        preset.name = name;
+        presetName.value = '';
+        saveSettingsDebounced();
+        renderCastPresets(name);
+    });
+    document.querySelector('#stne--bindCastPreset').addEventListener('change', ()=>{
+        const preset = settings.castPresets.find(it=>it.name == presetSel.value);
+        const target = getCastPresetTarget();
+        if (!preset || !target) return;
+        // a card / group uses one preset at most
+        for (const it of settings.castPresets) it.boundTo = (it.boundTo ?? []).filter(key=>key != target.key);
+        if (document.querySelector('#stne--bindCastPreset').checked) preset.boundTo.push(target.key);
+        saveSettingsDebounced();
+        renderCastPresets(preset.name);
+    });
+    renderCastPresets();
+    const importFile = /**@type {HTMLInputElement}*/(document.querySelector('#stne--importCastFile'));
+    document.querySelector('#stne--importCast').addEventListener('click', ()=>{
+        if (getContext().chatId == null) return;
+        importFile.click();
+    });
+    importFile.addEventListener('change', async()=>{
+        const file = importFile.files?.[0];
+        importFile.value = '';
+        if (!file) return;
+        try {
+            await importCast(JSON.parse(await file.text()));
+        } catch (ex) {
+            console.error('[NE]', 'cast import failed', ex);
+        }
     });
     document.querySelector('#stne--extensions').addEventListener('input', ()=>{
         settings.extensions = document.querySelector('#stne--extensions').value?.split(/,\s*/);
         saveSettingsDebounced();
+        clearSpriteManifest();
+        restart();
+    });
+    document.querySelector('#stne--rescanSprites').addEventListener('click', ()=>{
+        clearSpriteManifest();
         restart();
     });
     const sel = document.querySelector('#stne--expression');
-    const exp = [
-        'admiration',
-        'amusement',
-        'anger',
-        'annoyance',
-        'approval',
-        'caring',
-        'confusion',
-        'curiosity',
-        'desire',
-        'disappointment',
-        'disapproval',
-        'disgust',
-        'embarrassment',
-        'excitement',
-        'fear',
-        'gratitude',
-        'grief',
-        'joy',
-        'love',
-        'nervousness',
-        'neutral',
-        'optimism',
-        'pride',
-        'realization',
-        'relief',
-        'remorse',
-        'sadness',
-        'surprise',
-    ];
-    exp.forEach(e=>{
+    EXPRESSIONS.forEach(e=>{
         const opt = document.createElement('option'); {
             opt.value = e;
             opt.textContent = e;
@@ -616,232 +1878,1620 @@ const initSettings = () => {
 };
 
 /**
- * updateSideSizes()
- * - Finds the chatbox element (#sheld) and measures available empty horizontal space to the left/right of it.
- * - Updates CSS variables on the root element for --left-space, --right-space and --placement-mode so CSS can position/scale images.
- * - Also updates the width of the leftArea/rightArea DOM containers so wrappers appended into them are clipped/positioned correctly.
- * - This function is intentionally idempotent and cheap so it can be called on window.resize and before rendering updates.
+ * computeSlotLayout(names)
+ * - Splits the stage slots (names in slot order) across the two side areas. By default the left side takes
+ *   max(1, floor(count/2)) slots starting with slot 0, the right side takes the rest (1 -> L, 2 -> L|R, 3 -> L|RR, 4 -> LL|RR, ...).
+ * - Names pinned to a side (csettings.display[name].side) always go there; unpinned names fill the remaining left
+ *   capacity in slot order, then the right side.
+ * - Returns one {side, index, count} entry per slot: index is the position on that side (top to bottom), count the
+ *   number of slots sharing that side.
+ */
+function computeSlotLayout(names) {
+    const pins = names.map(name => {
+        const side = csettings?.display?.[name]?.side;
+        return side === 'left' || side === 'right' ? side : null;
+    });
+    let leftFree = Math.max(0, Math.min(names.length, Math.max(1, Math.floor(names.length / 2))) - pins.filter(it => it === 'left').length);
+    const sides = pins.map(pin => {
+        if (pin) return pin;
+        if (leftFree > 0) {
+            leftFree--;
+            return 'left';
+        }
+        return 'right';
+    });
+    const leftCount = sides.filter(it => it === 'left').length;
+    const rightCount = sides.length - leftCount;
+    let leftIndex = 0;
+    let rightIndex = 0;
+    return sides.map(side => (side === 'left'
+        ? { side, index: leftIndex++, count: leftCount }
+        : { side, index: rightIndex++, count: rightCount }));
+}
+
+/**
+ * applyDisplaySettings(wrapper, side)
+ * - Applies the member's display settings (csettings.display[name]) as CSS variables: --stne-scale, --stne-offset-x/y
+ *   (percent of the sprite size) and --stne-flip, which mirrors a sprite whose facing points away from the chat column
+ *   (sprites on the left side and on the bench should face right, sprites on the right side should face left).
+ */
+function applyDisplaySettings(wrapper, side) {
+    const display = csettings?.display?.[wrapper.getAttribute('data-character')] ?? {};
+    const facesAway = (side === 'right' && display.facing === 'right') || (side !== 'right' && display.facing === 'left');
+    wrapper.style.setProperty('--stne-scale', String(Number(display.scale) || 1));
+    wrapper.style.setProperty('--stne-offset-x', `${Number(display.offsetX) || 0}%`);
+    wrapper.style.setProperty('--stne-offset-y', `${Number(display.offsetY) || 0}%`);
+    wrapper.style.setProperty('--stne-flip', facesAway ? '-1' : '1');
+}
+
+/**
+ * applySlotPosition(wrapper, slot)
+ * - Stacks the wrapper at position slot.index of slot.count equal rows inside its side area, with a 1px gap between rows.
+ * - Exposed as --stne-slot-top / --stne-slot-height so style.css can apply them per placement mode.
+ */
+function applySlotPosition(wrapper, slot) {
+    const height = `((100% - ${slot.count - 1}px) / ${slot.count})`;
+    wrapper.style.setProperty('--stne-slot-height', `calc${height}`);
+    wrapper.style.setProperty('--stne-slot-top', `calc(${slot.index} * (${height} + 1px))`);
+    wrapper.dataset.side = slot.side;
+}
+
+/**
+ * clearSlotPosition(wrapper)
+ * - Removes the computed slot position (wrapper is benched or hidden).
+ */
+function clearSlotPosition(wrapper) {
+    wrapper.style.removeProperty('--stne-slot-height');
+    wrapper.style.removeProperty('--stne-slot-top');
+    delete wrapper.dataset.side;
+    delete wrapper.dataset.slot;
+}
+
+/**
+ * getPlacementMode(leftSpace, rightSpace)
+ * - settings.placementMode, or settings.narrowPlacementMode when the wider side space is below
+ *   settings.narrowSpaceThreshold px (phones, narrow windows).
+ */
+function getPlacementMode(leftSpace, rightSpace) {
+    const threshold = Number(settings.narrowSpaceThreshold) || 0;
+    if (threshold > 0 && Math.max(leftSpace, rightSpace) < threshold) return settings.narrowPlacementMode;
+    return settings.placementMode;
+}
+
+/**
+ * updateSideSizes()
+ * - Finds the chatbox element (#sheld) and measures available empty horizontal space to the left/right of it.
+ * - Updates CSS variables on the root element for --left-space, --right-space and --placement-mode so CSS can position/scale images.
+ * - Also exposes the chat column (--stne-column-left / --stne-column-width) and the space below the top of the input box
+ *   (--stne-strip-bottom) for the strip and overlay modes.
+ * - Also updates the width of the leftArea/rightArea DOM containers so wrappers appended into them are clipped/positioned correctly.
+ * - In strip mode the body gets the stne--strip class, which shrinks #chat by --stne-strip-height (set on the body)
+ *   so the bar never covers messages.
+ * - When the placement mode switches (see getPlacementMode), the stage is re-laid out.
+ * - This function is intentionally idempotent and cheap so it can be called on window.resize and before rendering updates.
+ */
+function updateSideSizes() {
+    if (!root) return;
+    // Find the main chat container. Prefer getElementById but fallback to querySelector as requested.
+    const sheld = document.getElementById('sheld') || document.querySelector('#sheld');
+    let leftSpace = 0;
+    let rightSpace = 0;
+    if (sheld) {
+        const rect = sheld.getBoundingClientRect();
+        leftSpace = Math.max(0, Math.floor(rect.left));
+        rightSpace = Math.max(0, Math.floor(window.innerWidth - rect.right));
+        const formTop = document.querySelector('#send_form')?.getBoundingClientRect().top ?? rect.bottom;
+        root.style.setProperty('--stne-column-left', `${Math.floor(rect.left)}px`);
+        root.style.setProperty('--stne-column-width', `${Math.floor(rect.width)}px`);
+        root.style.setProperty('--stne-strip-bottom', `${Math.max(0, Math.floor(window.innerHeight - formTop))}px`);
+    } else {
+        // No chatbox found - treat full viewport as available (split half/half) to avoid zero-width areas
+        leftSpace = Math.floor(window.innerWidth / 2);
+        rightSpace = window.innerWidth - leftSpace;
+    }
+    // expose pixel values as CSS variables for use by CSS rules
+    root.style.setProperty('--left-space', `${leftSpace}px`);
+    root.style.setProperty('--right-space', `${rightSpace}px`);
+    // on the body: the chat reserves the bar's height as well
+    document.body.style.setProperty('--stne-strip-height', `${settings.stripHeight}px`);
+    // use data attribute for placement mode (more reliable than inline style for CSS selectors)
+    const mode = getPlacementMode(leftSpace, rightSpace);
+    const modeChanged = root.dataset.placementMode !== mode;
+    root.dataset.placementMode = mode;
+    document.body.classList.toggle('stne--strip', mode == 'strip');
+    // update DOM area widths so appended wrappers are inside the correct side area
+    if (leftArea) leftArea.style.width = `${leftSpace}px`;
+    if (rightArea) rightArea.style.width = `${rightSpace}px`;
+    if (enableVerboseLogging) log('updateSideSizes', { leftSpace, rightSpace, mode });
+    // strip mode collects all sprites in one area, the other modes split them by side
+    if (modeChanged && imgs.length) requestStageUpdate();
+}
+
+/**
+ * getDiscoveryCandidates(extra)
+ * - Collects names that may have a sprite folder under the chat path: extra (names typed into the discovery box),
+ *   current members, character card names, the current group's members and capitalized names (1-3 words, any
+ *   script with letter case) that appear at least twice in the narration of the last 100 messages. SillyTavern
+ *   can't list directories, so discovery checks these candidates (see discoverMembers).
+ * - Returns at most 150 unique names.
+ */
+const getDiscoveryCandidates = (extra = [])=>{
+    const context = getContext();
+    const candidates = [...extra, ...(csettings.members ?? [])];
+    candidates.push(...characters.map(it=>it.name));
+    const group = context.groups?.find(it=>it.id == context.groupId);
+    candidates.push(...(group?.members ?? []).map(avatar=>characters.find(it=>it.avatar == avatar)?.name));
+    const mentions = {};
+    for (const mes of chat.slice(-100)) {
+        const text = mes?.mes ?? '';
+        for (const span of getNonBracketSpans(text)) {
+            for (const match of text.slice(span.start, span.end).matchAll(/(?<![\p{L}\p{M}\p{N}_])\p{Lu}[\p{Ll}\p{M}'’-]*\p{Ll}(?: \p{Lu}[\p{Ll}\p{M}'’-]*\p{Ll}){0,2}(?![\p{L}\p{M}\p{N}_])/gu)) {
+                mentions[match[0]] = (mentions[match[0]] ?? 0) + 1;
+            }
+        }
+    }
+    candidates.push(...Object.entries(mentions).filter(([, count])=>count >= 2).sort((a, b)=>b[1] - a[1]).map(([name])=>name));
+    return candidates.filter((it, idx, list)=>it && list.indexOf(it) == idx).slice(0, 150);
+};
+
+/**
+ * discoverMembers()
+ * - Checks every discovery candidate (including the names in #stne--discoverExtra) for sprites under
+ *   /characters/[path/]Name/ via the sprite manifest, a few folders at a time, and renders the ones that have sprites
+ *   as a checklist in #stne--discover. Ticking/unticking updates the member list (see toggleDiscoveredMember).
+ */
+const discoverMembers = async()=>{
+    const container = document.querySelector('#stne--discover');
+    if (!container || !csettings || getContext().chatId == null) return;
+    container.textContent = 'Searching for sprite folders...';
+    const extra = /**@type {HTMLInputElement}*/(document.querySelector('#stne--discoverExtra'))?.value.split(',').map(it=>it.trim()).filter(it=>it.length) ?? [];
+    const candidates = getDiscoveryCandidates(extra);
+    const counts = await mapLimit(candidates, 6, async(name)=>{
+        const sprites = await getSpriteList(csettings.path ? `${csettings.path}/${name}` : name);
+        return sprites?.length ?? 0;
+    });
+    const found = candidates.map((name, idx)=>({ name, count: counts[idx] })).filter(it=>it.count > 0);
+    container.textContent = '';
+    if (!found.length) {
+        container.textContent = `No sprite folders found under /characters/${csettings.path ? `${csettings.path}/` : ''} for card names, names in this chat or the names entered above. SillyTavern can't list folders, so other folder names have to be entered above.`;
+        return;
+    }
+    for (const { name, count } of found) {
+        const label = document.createElement('label'); {
+            label.classList.add('checkbox_label');
+            const cb = document.createElement('input'); {
+                cb.type = 'checkbox';
+                cb.checked = (csettings.members ?? []).includes(name);
+                cb.addEventListener('change', ()=>toggleDiscoveredMember(name, cb.checked));
+                label.append(cb);
+            }
+            label.append(`${name} `);
+            const small = document.createElement('small'); {
+                small.textContent = `(${count} sprite${count == 1 ? '' : 's'})`;
+                label.append(small);
+            }
+            container.append(label);
+        }
+    }
+};
+
+/**
+ * toggleDiscoveredMember(name, isMember)
+ * - Adds or removes a discovered name in membersRaw, keeping all existing entries and their alias groups.
+ */
+const toggleDiscoveredMember = (name, isMember)=>{
+    const parsed = parseMemberInput(csettings.membersRaw ?? (csettings.members ?? []).join(', '));
+    const names = parsed.primaryNames.filter(it=>it != name);
+    if (isMember) {
+        names.push(name);
+        parsed.aliasGroups[name] ??= [name];
+    }
+    const inp = /**@type {HTMLInputElement}*/(document.querySelector('#stne--members'));
+    inp.value = formatMemberInput(names, parsed.aliasGroups, parsed.caseSensitive, parsed.exclusions);
+    inp.dispatchEvent(new Event('input'));
+};
+
+/**
+ * setMemberFlag(key, name, state)
+ * - Adds/removes name in the chat-scoped list csettings[key] ('pinned' or 'hidden'). state is true, false or null (toggle).
+ * - A member can't be pinned and hidden at the same time: setting one flag clears the other.
+ * - Returns the updated list.
+ */
+const setMemberFlag = (key, name, state = null)=>{
+    const other = key == 'pinned' ? 'hidden' : 'pinned';
+    csettings[key] ??= [];
+    csettings[other] ??= [];
+    const isSet = csettings[key].includes(name);
+    const newState = state ?? !isSet;
+    csettings[key] = csettings[key].filter(it=>it != name);
+    if (newState) {
+        csettings[key].push(name);
+        csettings[other] = csettings[other].filter(it=>it != name);
+    }
+    chat_metadata.groupExpressions = csettings;
+    saveMetadataDebounced();
+    renderMemberDisplaySettings();
+    requestStageUpdate();
+    return csettings[key];
+};
+
+/**
+ * setMemberOutfit(name, outfit)
+ * - Sets the member's outfit (sprite subfolder, see getSpriteFolders) in csettings.outfits; an empty outfit returns
+ *   to the base folder. Outfits are remembered per member in csettings.outfitNames for the settings dropdown.
+ */
+const setMemberOutfit = async(name, outfit)=>{
+    outfit = String(outfit ?? '').trim().replace(/^\/+|\/+$/g, '');
+    csettings.outfits ??= {};
+    csettings.outfitNames ??= {};
+    if (outfit) {
+        csettings.outfits[name] = outfit;
+        csettings.outfitNames[name] = [...new Set([...(csettings.outfitNames[name] ?? []), outfit])];
+    } else {
+        delete csettings.outfits[name];
+    }
+    chat_metadata.groupExpressions = csettings;
+    saveMetadataDebounced();
+    renderMemberDisplaySettings();
+    await refreshExpression(name);
+    await updateCastPrompt();
+};
+
+/**
+ * renderMemberDisplaySettings()
+ * - Renders one row per member into #stne--memberDisplay with side pinning, scale, offsets, facing, outfit and the
+ *   always present / never show flags.
+ * - Display changes are stored in csettings.display[name], flags in csettings.pinned / csettings.hidden, outfits via
+ *   setMemberOutfit (chat metadata).
+ */
+const renderMemberDisplaySettings = ()=>{
+    const container = document.querySelector('#stne--memberDisplay');
+    if (!container || !csettings) return;
+    container.replaceChildren();
+    const update = (name, key, value)=>{
+        csettings.display ??= {};
+        csettings.display[name] = { ...(csettings.display[name] ?? {}), [key]: value };
+        chat_metadata.groupExpressions = csettings;
+        saveMetadataDebounced();
+        requestStageUpdate();
+    };
+    const makeSelect = (name, key, options)=>{
+        const sel = document.createElement('select'); {
+            sel.classList.add('text_pole');
+            sel.title = key;
+            for (const [value, text] of options) {
+                const opt = document.createElement('option'); {
+                    opt.value = value;
+                    opt.textContent = text;
+                    sel.append(opt);
+                }
+            }
+            sel.value = csettings.display?.[name]?.[key] ?? options[0][0];
+            sel.addEventListener('change', ()=>update(name, key, sel.value));
+        }
+        return sel;
+    };
+    const makeNumber = (name, key, title, fallback, step)=>{
+        const inp = document.createElement('input'); {
+            inp.type = 'number';
+            inp.classList.add('text_pole');
+            inp.title = title;
+            inp.step = String(step);
+            inp.value = String(csettings.display?.[name]?.[key] ?? fallback);
+            inp.addEventListener('input', ()=>{
+                const value = Number(inp.value);
+                update(name, key, Number.isFinite(value) ? value : fallback);
+            });
+        }
+        return inp;
+    };
+    for (const name of csettings.members ?? []) {
+        const row = document.createElement('div'); {
+            row.classList.add('stne--memberRow');
+            const label = document.createElement('span'); {
+                label.classList.add('stne--memberName');
+                label.textContent = name;
+                row.append(label);
+            }
+            row.append(makeSelect(name, 'side', [['auto', 'Auto side'], ['left', 'Left'], ['right', 'Right']]));
+            row.append(makeNumber(name, 'scale', 'Scale factor', 1, 0.05));
+            row.append(makeNumber(name, 'offsetX', 'Horizontal offset (%)', 0, 1));
+            row.append(makeNumber(name, 'offsetY', 'Vertical offset (%)', 0, 1));
+            row.append(makeSelect(name, 'facing', [['', 'Faces: as drawn'], ['left', 'Faces left'], ['right', 'Faces right']]));
+            const outfitSel = document.createElement('select'); {
+                outfitSel.classList.add('text_pole');
+                outfitSel.title = `Outfit (sprite subfolder of ${name})`;
+                const current = csettings.outfits?.[name] ?? '';
+                const outfits = [...new Set([...(csettings.outfitNames?.[name] ?? []), current].filter(Boolean))];
+                for (const [value, text] of [['', 'Base outfit'], ...outfits.map(it=>[it, `Outfit: ${it}`]), ['*new', 'New outfit…']]) {
+                    const opt = document.createElement('option'); {
+                        opt.value = value;
+                        opt.textContent = text;
+                        outfitSel.append(opt);
+                    }
+                }
+                outfitSel.value = current;
+                row.append(outfitSel);
+            }
+            const outfitInput = document.createElement('input'); {
+                outfitInput.type = 'text';
+                outfitInput.classList.add('text_pole');
+                outfitInput.placeholder = 'outfit folder';
+                outfitInput.hidden = true;
+                outfitInput.addEventListener('change', ()=>setMemberOutfit(name, outfitInput.value));
+                row.append(outfitInput);
+            }
+            // abandoning the new outfit input puts the dropdown back on the current outfit
+            const cancelNewOutfit = ()=>{
+                outfitInput.value = '';
+                outfitInput.hidden = true;
+                outfitSel.value = csettings.outfits?.[name] ?? '';
+            };
+            outfitInput.addEventListener('keydown', (evt)=>{
+                if (evt.key != 'Escape') return;
+                evt.stopPropagation();
+                cancelNewOutfit();
+            });
+            outfitInput.addEventListener('blur', ()=>{
+                if (!outfitInput.value.trim()) cancelNewOutfit();
+            });
+            outfitSel.addEventListener('change', ()=>{
+                if (outfitSel.value == '*new') {
+                    outfitInput.hidden = false;
+                    outfitInput.focus();
+                    return;
+                }
+                setMemberOutfit(name, outfitSel.value);
+            });
+            for (const [key, text] of [['pinned', 'Always present'], ['hidden', 'Never show']]) {
+                const label = document.createElement('label'); {
+                    label.classList.add('checkbox_label');
+                    const cb = document.createElement('input'); {
+                        cb.type = 'checkbox';
+                        cb.checked = (csettings[key] ?? []).includes(name);
+                        cb.addEventListener('change', ()=>setMemberFlag(key, name, cb.checked));
+                        label.append(cb);
+                    }
+                    label.append(text);
+                    row.append(label);
+                }
+            }
+            container.append(row);
+        }
+    }
+};
+
+/**
+ * exportCast()
+ * - The chat's cast configuration (CAST_KEYS of csettings: path, member list with aliases, emotes and per-member
+ *   settings) as a plain object, ready for JSON.
+ */
+const exportCast = ()=>{
+    const cast = {};
+    for (const key of CAST_KEYS) {
+        if (csettings?.[key] !== undefined) cast[key] = structuredClone(csettings[key]);
+    }
+    return cast;
+};
+
+/**
+ * importCast(cast)
+ * - Replaces the chat's cast configuration with cast (an exportCast object, or its JSON string). Keys outside
+ *   CAST_KEYS are ignored; the scene roster is rebuilt for the new members.
+ * - Throws without an open chat and on anything that isn't a cast object, or has a key of the wrong type
+ *   (see CAST_KEY_TYPES), before anything is changed.
+ */
+const importCast = async(cast)=>{
+    if (getContext().chatId == null) throw new Error('no chat open');
+    if (typeof cast == 'string') cast = JSON.parse(cast);
+    const isObject = (value)=>!!value && typeof value == 'object' && !Array.isArray(value);
+    if (!isObject(cast) || !CAST_KEYS.some(key=>key in cast)) {
+        throw new Error('not a cast configuration');
+    }
+    const isString = (value)=>typeof value == 'string';
+    const isStrings = (value)=>Array.isArray(value) && value.every(isString);
+    const isMapOf = (check)=>(value)=>isObject(value) && Object.values(value).every(check);
+    const checks = {
+        string: isString,
+        strings: isStrings,
+        objects: isMapOf(isObject),
+        stringMap: isMapOf(isString),
+        stringsMap: isMapOf(isStrings),
+    };
+    for (const key of CAST_KEYS.filter(key=>key in cast)) {
+        if (!checks[CAST_KEY_TYPES[key]](cast[key])) throw new Error(`invalid cast value for ${key}`);
+    }
+    const defaults = getChatDefaults();
+    for (const key of CAST_KEYS) {
+        if (key in cast) csettings[key] = structuredClone(cast[key]);
+        else if (key in defaults) csettings[key] = defaults[key];
+        else delete csettings[key];
+    }
+    csettings.roster = null;
+    chat_metadata.groupExpressions = csettings;
+    saveMetadataDebounced();
+    updateChatInputs();
+    updateAliasGroups();
+    renderMemberDisplaySettings();
+    await refreshLoreCast();
+    clearSpriteManifest();
+    await restart();
+};
+
+/**
+ * getCastPresetTarget()
+ * - What cast presets can be bound to in the current chat: {key, label} for the open group ('group:<id>') or
+ *   character card ('char:<avatar file>'), null without either.
+ */
+const getCastPresetTarget = ()=>{
+    const context = getContext();
+    if (context.groupId != null) {
+        const group = context.groups?.find(it=>it.id == context.groupId);
+        return { key: `group:${context.groupId}`, label: group?.name ?? 'this group' };
+    }
+    const character = context.characterId != null ? characters[context.characterId] : null;
+    if (!character) return null;
+    return { key: `char:${character.avatar}`, label: character.name };
+};
+
+/**
+ * renderCastPresets(selected)
+ * - Fills the preset dropdown from settings.castPresets (keeping or setting the selection) and updates the
+ *   "use for new chats" checkbox for the current card / group.
+ */
+const renderCastPresets = (selected = null)=>{
+    const sel = /**@type {HTMLSelectElement}*/(document.querySelector('#stne--castPreset'));
+    if (!sel) return;
+    selected ??= sel.value;
+    const target = getCastPresetTarget();
+    sel.replaceChildren();
+    for (const preset of settings.castPresets) {
+        const opt = document.createElement('option'); {
+            opt.value = preset.name;
+            opt.textContent = target && preset.boundTo?.includes(target.key) ? `${preset.name} (bound)` : preset.name;
+            sel.append(opt);
+        }
+    }
+    if (settings.castPresets.some(it=>it.name == selected)) sel.value = selected;
+    const preset = settings.castPresets.find(it=>it.name == sel.value);
+    const bind = /**@type {HTMLInputElement}*/(document.querySelector('#stne--bindCastPreset'));
+    bind.disabled = !preset || !target;
+    bind.checked = !!(preset && target && preset.boundTo?.includes(target.key));
+    document.querySelector('#stne--bindCastPresetLabel').textContent = `Use for new chats with ${target?.label ?? 'this card'}`;
+};
+
+/**
+ * getBoundCastPreset()
+ * - Returns the cast of the preset bound to the current card / group, or null. Only applied to new chats (see
+ *   chatChanged / chatCreated), existing chats keep their own cast.
+ */
+const getBoundCastPreset = ()=>{
+    if (getContext().chatId == null) return null;
+    const target = getCastPresetTarget();
+    if (!target) return null;
+    return settings.castPresets.find(it=>it.boundTo?.includes(target.key))?.cast ?? null;
+};
+
+/**
+ * renderLoreBooks()
+ * - Fills the lorebook multi-select from SillyTavern's World Info list, selecting csettings.loreBooks (books that
+ *   no longer exist stay selected so they come back when restored).
+ */
+const renderLoreBooks = ()=>{
+    const sel = /**@type {HTMLSelectElement}*/(document.querySelector('#stne--loreBooks'));
+    if (!sel) return;
+    sel.disabled = getContext().chatId == null;
+    const selected = csettings?.loreBooks ?? [];
+    sel.replaceChildren();
+    for (const book of [...new Set([...(world_names ?? []), ...selected])]) {
+        const opt = document.createElement('option'); {
+            opt.value = book;
+            opt.textContent = book;
+            opt.selected = selected.includes(book);
+            sel.append(opt);
+        }
+    }
+};
+
+/**
+ * getLoreBooks()
+ * - The chat's lorebook source: csettings.loreBooks, or with only csettings.loreTag set the books active in this chat
+ *   (global selection, chat lorebook, the character's / group members' primary lorebooks), not every book.
+ */
+const getLoreBooks = ()=>{
+    if (csettings?.loreBooks?.length) return csettings.loreBooks;
+    if (!csettings?.loreTag?.trim()) return [];
+    const context = getContext();
+    const avatars = context.groupId == null
+        ? [characters[context.characterId]?.avatar]
+        : context.groups?.find(it=>it.id == context.groupId)?.members ?? [];
+    const books = [
+        ...(selected_world_info ?? []),
+        chat_metadata[METADATA_KEY],
+        ...avatars.map(avatar=>characters.find(it=>it.avatar == avatar)?.data?.extensions?.world),
+    ];
+    return [...new Set(books)].filter(it=>it && world_names?.includes(it));
+};
+
+/**
+ * getLoreCast()
+ * - Reads the cast from the chat's lorebook source (see getLoreBooks). Returns null without a source, else
+ *   {members, groups, caseSensitive, folders}:
+ *   - each enabled entry (with the tag as a whole token in its comment, if set: "#cast" doesn't match "#castle") is a
+ *     member named by its comment, minus the tag and an optional "@folder" suffix, or else by its first plain key;
+ *   - the entry's keys are the member's aliases ("/regex/flags" keys work as regex aliases), case-sensitive if the
+ *     entry is; entries with the same name across books share one alias group;
+ *   - folders maps names with an "@folder" suffix to that sprite folder (see getSpriteFolders).
+ */
+const getLoreCast = async()=>{
+    const tag = csettings.loreTag?.trim() ?? '';
+    const books = getLoreBooks();
+    if (!books.length) return null;
+    const tagRegex = tag ? new RegExp(makeNamePattern(tag), 'giu') : null;
+    const cast = { members: [], groups: {}, caseSensitive: [], folders: {} };
+    for (const book of books) {
+        const data = await loadWorldInfo(book);
+        for (const entry of Object.values(data?.entries ?? {})) {
+            if (entry.disable) continue;
+            let comment = entry.comment ?? '';
+            if (tagRegex) {
+                const stripped = comment.replace(tagRegex, ' ');
+                if (stripped == comment) continue;
+                comment = stripped;
+            }
+            const [, label, folder] = /^(.*?)(?:@([^@]*))?$/s.exec(comment.trim());
+            const keys = (entry.key ?? []).map(it=>String(it).trim()).filter(it=>it.length);
+            const name = label.trim() || keys.find(it=>!parseRegexAlias(it));
+            if (!name) continue;
+            if (!cast.groups[name]) {
+                cast.members.push(name);
+                cast.groups[name] = [name];
+            }
+            cast.groups[name].push(...keys.filter(it=>!cast.groups[name].includes(it)));
+            if (entry.caseSensitive) cast.caseSensitive.push(...keys.filter(it=>!parseRegexAlias(it)));
+            if (folder?.trim()) cast.folders[name] = folder.trim();
+        }
+    }
+    return cast;
+};
+
+/**
+ * refreshLoreCast()
+ * - Re-reads the lorebook members into csettings.loreCast (saved in chat metadata) and rebuilds the alias groups.
+ * - Returns true if the lorebook members changed.
+ */
+const refreshLoreCast = async()=>{
+    const chatSettings = csettings;
+    let cast;
+    try {
+        cast = await getLoreCast();
+    } catch (ex) {
+        console.error('[NE]', ex);
+        return false;
+    }
+    // chat changed while loading
+    if (chatSettings !== csettings) return false;
+    if (JSON.stringify(cast) == JSON.stringify(csettings.loreCast ?? null)) return false;
+    log('lorebook cast', cast);
+    if (cast) csettings.loreCast = cast;
+    else delete csettings.loreCast;
+    chat_metadata.groupExpressions = csettings;
+    saveMetadataDebounced();
+    updateAliasGroups();
+    renderMemberDisplaySettings();
+    clearSpriteManifest();
+    return true;
+};
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * updateChatInputs()
+ * - Fills the chat-scoped settings inputs (path, member list) from csettings; disabled without an open chat.
+ */
+const updateChatInputs = ()=>{
+    const context = getContext();
+    // Safely update chat-scoped inputs only if they exist in the DOM
+    const pathEl = document.querySelector('#stne--path');
+    if (pathEl) {
+        pathEl.disabled = context.chatId == null;
+        pathEl.value = csettings.path ?? '';
+    }
+    const membersEl = document.querySelector('#stne--members');
+    if (membersEl) {
+        membersEl.disabled = context.chatId == null;
+        membersEl.value = csettings.membersRaw ?? csettings.members?.join(', ') ?? '';
+    }
+    renderLoreBooks();
+    const loreTagEl = /**@type {HTMLInputElement}*/(document.querySelector('#stne--loreTag'));
+    if (loreTagEl) {
+        loreTagEl.disabled = context.chatId == null;
+        loreTagEl.value = csettings.loreTag ?? '';
+    }
+    // discovery results belong to the previous chat / path
+    document.querySelector('#stne--discover')?.replaceChildren();
+};
+
+/**
+ * getChatDefaults()
+ * - Fresh defaults for the chat-scoped settings (csettings, saved as chat_metadata.groupExpressions).
+ */
+const getChatDefaults = ()=>({
+    members: [],
+    emotes: {},
+    display: {},
+    pinned: [],
+    hidden: [],
+    outfits: {}, // name -> current outfit subfolder (see getSpriteFolders)
+    outfitNames: {}, // name -> outfits used in this chat, offered in the member rows
+    loreBooks: [], // World Info books whose entries are cast members (see refreshLoreCast)
+    loreTag: '', // only lorebook entries with this tag in their comment; the chat's active books when loreBooks is empty (see getLoreBooks)
+});
+
+const chatChanged = async ()=>{
+    log('chatChanged');
+
+    // a chat without stored settings and without user messages yet is new, e.g. one without a greeting
+    const isNewChat = !chat_metadata.groupExpressions && !chat.some(mes=>mes.is_user);
+    csettings = Object.assign(getChatDefaults(), chat_metadata.groupExpressions ?? {});
+    chat_metadata.groupExpressions = csettings;
+    rosterCheckpoints = null;
+    log(chat_metadata);
+    updateChatInputs();
+    await refreshLoreCast();
+    updateAliasGroups();
+    renderMemberDisplaySettings();
+    renderCastPresets();
+    await restart();
+    hideExpressionTags();
+    if (isNewChat) await applyBoundCastPreset();
+};
+
+/**
+ * applyBoundCastPreset()
+ * - Applies the cast preset bound to the chat's card / group (see getBoundCastPreset), once per chat.
+ */
+const applyBoundCastPreset = async()=>{
+    const chatId = getContext().chatId;
+    if (chatId == null || castPresetChatId === chatId) return;
+    const preset = getBoundCastPreset();
+    if (!preset) return;
+    castPresetChatId = chatId;
+    log('applying bound cast preset', preset);
+    try {
+        await importCast(preset);
+    } catch (ex) {
+        console.error('[NE]', 'bound cast preset failed', ex);
+    }
+};
+
+/**
+ * chatCreated()
+ * - A new chat (with greeting) was started: applies the cast preset bound to its card / group, if any.
+ * - SillyTavern fires this right after CHAT_CHANGED, so it waits for chatChanged to finish setting up the chat.
+ */
+const chatCreated = async()=>{
+    await chatChanging;
+    await applyBoundCastPreset();
+};
+
+const groupUpdated = (...args) => {
+    log('GROUP UPDATED', args);
+    // members may have been added, removed, muted or unmuted
+    requestStageUpdate();
+};
+
+// messages between roster checkpoints (see rosterCheckpoints)
+const ROSTER_CHECKPOINT_EVERY = 50;
+
+/**
+ * updateRoster(lastIndex, persist)
+ * - Maintains the chat-scoped scene roster in csettings.roster ({key, upTo, anchor, members}), saved in chat metadata.
+ * - members holds {lastSeen, exited} per name for all messages before upTo (the committed part). New messages are
+ *   folded in as they stop being the last message; the roster is rebuilt from the start of the chat when messages
+ *   were deleted/edited before upTo, or when the names, aliases or phrases change.
+ * - The last message itself is applied to a copy only, so swipes, edits and streaming of it never corrupt the saved roster.
+ * - With persist = false (viewing a past message) the roster up to lastIndex is not saved; it resumes from the saved
+ *   roster or the nearest checkpoint before lastIndex (see rosterCheckpoints) instead of the start of the chat.
+ * - Returns {present, exited}: names still on stage (seen within settings.rosterLinger messages, -1 = until they exit)
+ *   and names that explicitly left.
+ */
+const updateRoster = (lastIndex, persist = true)=>{
+    if (lastIndex < 0) return { present: [], exited: [] };
+    const names = nameList;
+    const key = JSON.stringify([names.toSorted().map(name => aliasGroups[name] || [name]), [...caseSensitiveAliases], aliasExclusions, settings.minMentions, settings.enterPhrases, settings.exitPhrases]);
+    let roster = csettings.roster;
+    const isStale = !persist
+        || !roster
+        || roster.key !== key
+        || roster.upTo > lastIndex
+        || (roster.upTo > 0 && roster.anchor !== chat[roster.upTo - 1]?.send_date);
+    if (rosterCheckpoints?.key !== key) rosterCheckpoints = { key, points: new Map() };
+    if (isStale) {
+        roster = { key, upTo: 0, anchor: null, members: {} };
+        const saved = csettings.roster;
+        const isValid = (upTo, anchor)=>upTo <= lastIndex && (upTo == 0 || anchor === chat[upTo - 1]?.send_date);
+        let from = !persist && saved?.key === key && isValid(saved.upTo, saved.anchor) ? saved.upTo : 0;
+        for (const [upTo, point] of rosterCheckpoints.points) {
+            if (upTo > from && isValid(upTo, point.anchor)) from = upTo;
+        }
+        if (from > 0) {
+            const point = from === saved?.upTo ? saved : rosterCheckpoints.points.get(from);
+            roster = { key, upTo: from, anchor: point.anchor, members: structuredClone(point.members) };
+        }
+    }
+    if (roster.upTo < lastIndex) {
+        for (let i = roster.upTo; i < lastIndex; i++) {
+            applyMessageToRoster(roster.members, chat[i], i, names);
+            if ((i + 1) % ROSTER_CHECKPOINT_EVERY == 0) {
+                rosterCheckpoints.points.set(i + 1, { anchor: chat[i]?.send_date ?? null, members: structuredClone(roster.members) });
+            }
+        }
+        roster.upTo = lastIndex;
+        roster.anchor = chat[lastIndex - 1]?.send_date ?? null;
+        if (persist) {
+            csettings.roster = roster;
+            chat_metadata.groupExpressions = csettings;
+            saveMetadataDebounced();
+        }
+    }
+    const live = structuredClone(roster.members);
+    applyMessageToRoster(live, chat[lastIndex], lastIndex, names);
+    const linger = Number(settings.rosterLinger);
+    const present = [];
+    const exited = [];
+    for (const [name, entry] of Object.entries(live)) {
+        if (!names.includes(name)) continue;
+        if (entry.exited) exited.push(name);
+        else if (linger < 0 || lastIndex - entry.lastSeen <= linger) present.push(name);
+    }
+    if (enableVerboseLogging) log('roster', { lastIndex, upTo: roster.upTo, present, exited });
+    return { present, exited };
+};
+
+/**
+ * invalidateRoster(messageId)
+ * - Drops the saved roster when a message it already covers was edited, so the next update rebuilds it.
+ */
+const invalidateRoster = (messageId)=>{
+    if (csettings?.roster && Number(messageId) < csettings.roster.upTo) {
+        csettings.roster = null;
+    }
+    for (const upTo of rosterCheckpoints?.points.keys() ?? []) {
+        if (Number(messageId) < upTo) rosterCheckpoints.points.delete(upTo);
+    }
+};
+
+/**
+ * messageRendered()
+ * - Single stage update pass: syncs members, computes the present/ordered names for the last message and places wrappers.
+ * - Never called directly from events; use requestStageUpdate() (or onStreamToken() while streaming) so passes don't overlap.
+ */
+const messageRendered = async () => {
+    if (!settings.isEnabled || !root) return;
+    updateSettingsBackground();
+    // Ensure side area sizes are recalculated before layout is applied so wrappers are appended into correct containers
+    updateSideSizes();
+    await updateMembers();
+    addViewStageButtons();
+    const liveMes = chat.toReversed().find(it=>!it.is_system);
+    // a viewed past message stands in for the last message; the live message still gets its tags and expressions
+    if (viewedMessageId !== null && !chat[viewedMessageId]) setStageView(null);
+    const isViewing = viewedMessageId !== null;
+    const history = isViewing ? chat.slice(0, viewedMessageId + 1) : chat;
+    const lastMes = isViewing ? chat[viewedMessageId] : liveMes;
+    const lastCharMes = history.toReversed().find(it=>!it.is_user && !it.is_system && nameList.find(o=>it.name == o));
+    // Decide whether to emit verbose debug logs for this message (only once per changed message)
+    const messageTextForLog = lastMes?.mes ?? lastMes?.message ?? lastMes?.text ?? '';
+    if (messageTextForLog !== lastLoggedMessageText) {
+        enableVerboseLogging = true;
+        lastLoggedMessageText = messageTextForLog;
+    } else {
+        enableVerboseLogging = false;
+    }
+
+    // New presence & ordering logic (narrator/DM mode): compute ordered names based on unbracketed occurrences
+    const roster = updateRoster(chat.lastIndexOf(lastMes), !isViewing);
+    const orderedNames = await getPresentOrderedNames(lastMes, nameList, roster);
+    if (enableVerboseLogging) log('orderedNames', orderedNames);
+    const maxSlots = Math.max(1, Number(settings.maxSlots) || 4);
+    const slots = orderedNames.slice(0, maxSlots);
+    // pinned members always get a stage slot: they replace the lowest-priority unpinned names
+    const pinned = csettings.pinned ?? [];
+    for (const name of orderedNames.slice(maxSlots).filter(it=>pinned.includes(it))) {
+        const idx = slots.findLastIndex(it=>!pinned.includes(it));
+        if (idx < 0) break;
+        slots.splice(idx, 1);
+        slots.push(name);
+    }
+    const benched = settings.showBench ? orderedNames.filter(it=>!slots.includes(it)) : [];
+    const layout = computeSlotLayout(slots);
+    // expose how many images are visible (for styling hooks only; positions come from computeSlotLayout)
+    root.setAttribute('data-visible-count', String(slots.length));
+    // strip mode: stage and bench share the bar above the input box (left area), ordered by slot
+    const isStrip = root.dataset.placementMode === 'strip';
+    const stripOrder = [...slots.filter((_, i)=>layout[i].side === 'left'), ...slots.filter((_, i)=>layout[i].side !== 'left'), ...benched];
+    root.style.setProperty('--stne-bench-height', benched.length && !isStrip ? `${settings.benchSize}px` : '0px');
+
+    // Occurrence counts for pulse detection (served from the scan cache filled by getPresentOrderedNames)
+    const pulseCounts = scanNameCounts(messageTextForLog, nameList);
+    const currentNameCounts = {};
+    for (const name of nameList) {
+        currentNameCounts[name] = pulseCounts[name]?.count ?? 0;
+    }
+
+    // debug: print slots and wrapper state when verbose logging is enabled
+    if (enableVerboseLogging) {
+        try {
+            log('messageRendered slots:', slots);
+            log('wrappers:', imgs.map(w=>({ name: w.getAttribute('data-character'), attached: !!w.closest('.stne--root'), parent: w.parentElement?.className })));
+            log('side widths (px):', { left: leftArea?.getBoundingClientRect?.().width, right: rightArea?.getBoundingClientRect?.().width });
+        } catch(e) { log('debug log error', e); }
+    }
+
+    // Clean previous "last" markers
+    imgs.filter(it=>it.classList.contains('stne--last')).forEach(it=>it.classList.remove('stne--last'));
+
+    // Show/hide and assign slot positions / bench
+    for (const wrapper of imgs) {
+        const name = wrapper.getAttribute('data-character');
+        const slotIndex = slots.indexOf(name);
+        const isBenched = slotIndex < 0 && benched.includes(name);
+        if (slotIndex >= 0 || isBenched) {
+            let targetArea = isStrip ? leftArea : bench;
+            if (slotIndex >= 0) {
+                const slot = layout[slotIndex];
+                applySlotPosition(wrapper, slot);
+                wrapper.dataset.slot = String(slotIndex);
+                targetArea = slot.side === 'left' || isStrip ? leftArea : rightArea;
+                if (enableVerboseLogging) log('placing wrapper', name, { slotIndex, slot, slots, currentParent: wrapper.parentElement?.className });
+            } else {
+                clearSlotPosition(wrapper);
+                if (enableVerboseLogging) log('benching wrapper', name, { benched });
+            }
+            applyDisplaySettings(wrapper, wrapper.dataset.side ?? 'left');
+            wrapper.style.setProperty('--stne-strip-order', String(stripOrder.indexOf(name)));
+            if (enableVerboseLogging) log('chosen targetArea class:', targetArea?.className);
+            // Only move DOM node if it's not already in the correct area
+            if (wrapper.parentElement !== targetArea) {
+                wrapper.classList.add('stne--exit');
+                if (enableVerboseLogging) {
+                    try { log('pre-move', { name, from: wrapper.parentElement?.className, to: targetArea?.className }); } catch(e) { log('pre-move log err', e); }
+                }
+                targetArea?.append(wrapper);
+                await delay(50);
+                wrapper.classList.remove('stne--exit');
+                if (enableVerboseLogging) {
+                    try { log('moved', { name, parent: wrapper.parentElement?.className, wrapperRect: wrapper.getBoundingClientRect() }); } catch(e) { log('post-move log err', e); }
+                }
+            }
+            wrapper.classList.remove('stne--hidden');
+        } else {
+            // hide it
+            clearSlotPosition(wrapper);
+            // if currently attached to root (or one of its side areas), animate exit and remove from DOM (element object remains in imgs)
+            if (wrapper.closest('.stne--root')) {
+                wrapper.classList.add('stne--exit');
+                if (enableVerboseLogging) log('removing wrapper', name);
+                wrapper.remove();
+            } else {
+                // keep in memory but mark hidden
+                wrapper.classList.add('stne--hidden');
+            }
+        }
+    }
+
+    // Mark the active speaker(s) visually: the group member who wrote the last message and whoever its dialogue is
+    // attributed to, otherwise (no attributed dialogue) the author of the last response when they hold the first slot
+    if (lastMes?.is_user === false) {
+        const speakers = getActiveSpeakers(messageTextForLog, [...slots, ...benched]);
+        const author = getGroupSpeaker(lastMes);
+        if (author && slots.includes(author) && !speakers.includes(author)) speakers.unshift(author);
+        if (enableVerboseLogging && speakers.length) log('speakers', speakers);
+        const primary = slots[0];
+        if (!speakers.length && primary && lastCharMes && primary === lastCharMes.name) speakers.push(primary);
+        for (const name of speakers) {
+            const wrap = imgs.find(it=>it.getAttribute('data-character') == name && it.closest('.stne--root'));
+            if (wrap) wrap.classList.add('stne--last');
+        }
+    }
+    root.classList.toggle('stne--dimOthers', !!settings.dimNonSpeakers && imgs.some(it=>it.classList.contains('stne--last')));
+
+    // Pulse detection: trigger scale animation when a name's unbracketed count increases during streaming
+    for (const name of slots) {
+        const prev = previousNameCounts[name] || 0;
+        const curr = currentNameCounts[name] || 0;
+        if (curr > prev && prev > 0 && !isViewing) {
+            const wrapper = imgs.find(it => it.getAttribute('data-character') === name);
+            if (wrapper && wrapper.closest('.stne--root')) {
+                wrapper.classList.remove('stne--name-pulse');
+                void wrapper.offsetWidth; // force reflow to restart animation
+                wrapper.classList.add('stne--name-pulse');
+            }
+        }
+    }
+    previousNameCounts = { ...currentNameCounts };
+
+    hideExpressionTags(chat.lastIndexOf(liveMes));
+    // Per-character expressions from tags and prose (or the message's saved snapshot), once the message text is final
+    if (!streaming && !isViewing) await syncExpressionHistory(liveMes, [...slots, ...benched]);
+    else if (streaming && !isViewing) await prefetchExpressions(messageTextForLog, slots);
+};
+
+/**
+ * setStageView(messageId)
+ * - Shows the stage as it was at chat[messageId]: cast and ordering from that message, expressions from its saved
+ *   snapshot (default expressions without one). null returns to live mode.
+ */
+const setStageView = async(messageId)=>{
+    if (messageId !== null && (!chat[messageId] || messageId === chat.findLastIndex(it=>!it.is_system))) messageId = null;
+    if (messageId === viewedMessageId) return;
+    viewedMessageId = messageId;
+    if (messageId === null) {
+        viewSnapshot = null;
+    } else {
+        const mes = chat[messageId];
+        const snapshot = mes.extra?.groupExpressions;
+        viewSnapshot = snapshot?.hash === hashText(mes.mes ?? '') ? snapshot : { emotes: {}, detected: {} };
+    }
+    for (const btn of document.querySelectorAll('#chat .stne--viewStage')) {
+        btn.classList.toggle('stne--active', Number(btn.closest('.mes')?.getAttribute('mesid')) === messageId);
+    }
+    if (root) root.classList.toggle('stne--viewing', messageId !== null);
+    if (viewBadge) viewBadge.textContent = messageId === null ? '' : `Stage at message #${messageId}`;
+    await requestStageUpdate();
+    for (const wrapper of imgs) await refreshExpression(wrapper.getAttribute('data-character'));
+};
+
+/**
+ * addViewStageButtons()
+ * - Adds the "view stage here" button to the extra buttons of every rendered message that doesn't have one yet.
+ */
+const addViewStageButtons = ()=>{
+    for (const buttons of document.querySelectorAll('#chat .mes[mesid] .extraMesButtons')) {
+        if (buttons.querySelector('.stne--viewStage')) continue;
+        const btn = document.createElement('div'); {
+            btn.classList.add('mes_button', 'stne--viewStage', 'fa-solid', 'fa-masks-theater', 'interactable');
+            btn.title = 'View stage here';
+            btn.tabIndex = 0;
+            btn.classList.toggle('stne--active', Number(buttons.closest('.mes').getAttribute('mesid')) === viewedMessageId);
+            buttons.prepend(btn);
+        }
+    }
+};
+
+/**
+ * onViewStageClick(evt)
+ * - Delegated click handler for the "view stage here" buttons; clicking the viewed message's button again returns to live.
+ */
+const onViewStageClick = (evt)=>{
+    const btn = evt.target.closest('.stne--viewStage');
+    if (!btn) return;
+    const messageId = Number(btn.closest('.mes')?.getAttribute('mesid'));
+    setStageView(messageId === viewedMessageId ? null : messageId);
+};
+
+let scrollTimer = null;
+/**
+ * onChatScroll()
+ * - With settings.followScroll, views the message at the vertical middle of the chat; scrolled to the bottom means live.
+ */
+const onChatScroll = ()=>{
+    if (!settings.followScroll || !root || scrollTimer) return;
+    scrollTimer = setTimeout(()=>{
+        scrollTimer = null;
+        const chatEl = document.querySelector('#chat');
+        if (chatEl.scrollTop + chatEl.clientHeight >= chatEl.scrollHeight - 5) {
+            setStageView(null);
+            return;
+        }
+        const middle = chatEl.getBoundingClientRect().top + chatEl.clientHeight / 2;
+        const mesEl = [...chatEl.querySelectorAll('.mes[mesid]')].findLast(it=>it.getBoundingClientRect().top <= middle);
+        if (mesEl) setStageView(Number(mesEl.getAttribute('mesid')));
+    }, 100);
+};
+
+let stageUpdateRunning = false;
+let stageUpdatePending = false;
+/**
+ * requestStageUpdate()
+ * - Runs a messageRendered() pass, or queues exactly one follow-up pass if one is already running.
+ */
+const requestStageUpdate = async () => {
+    if (stageUpdateRunning) {
+        stageUpdatePending = true;
+        return;
+    }
+    stageUpdateRunning = true;
+    try {
+        do {
+            stageUpdatePending = false;
+            await messageRendered();
+        } while (stageUpdatePending);
+    } catch (ex) {
+        console.error('[NE]', ex);
+    }
+    stageUpdateRunning = false;
+};
+
+let streamThrottleTimer = null;
+/**
+ * onStreamToken()
+ * - Throttles stage updates while a message is streaming to at most one pass per settings.streamThrottle ms.
+ */
+const onStreamToken = () => {
+    streaming = true;
+    if (streamThrottleTimer) return;
+    streamThrottleTimer = setTimeout(()=>{
+        streamThrottleTimer = null;
+        requestStageUpdate();
+    }, settings.streamThrottle);
+};
+
+
+
+
+/**
+ * getSpriteList(folder)
+ * - Returns (and caches in spriteManifest) the sprite URLs in /characters/<folder>/ from SillyTavern's sprite listing endpoint.
+ * - The endpoint only resolves "Name" or "Path/Name". Deeper folders (outfits with a chat path, "Path/Name/outfit") are
+ *   listed from their parent instead, with one batch of parallel HEAD requests (see getNestedSpriteList).
+ * - Resolves to null when the folder can't be listed (the request failed); callers then probe with HEAD.
+ */
+const getSpriteList = (folder)=>{
+    if (!spriteManifest.has(folder)) {
+        spriteManifest.set(folder, (async()=>{
+            if (folder.split('/').length > 2) return await getNestedSpriteList(folder);
+            try {
+                const resp = await fetch(`/api/sprites/get?name=${encodeURIComponent(folder)}`, {
+                    headers: getRequestHeaders(),
+                });
+                if (!resp.ok) return null;
+                const sprites = await resp.json();
+                if (enableVerboseLogging) log('sprite manifest', folder, sprites.length);
+                return sprites.map(it=>it.path);
+            } catch (ex) {
+                log('sprite listing failed', folder, ex);
+                return null;
+            }
+        })());
+    }
+    return spriteManifest.get(folder);
+};
+
+/**
+ * getNestedSpriteList(folder)
+ * - Sprite URLs in a folder the listing endpoint can't resolve, found by checking the file names of the parent folder
+ *   (outfits usually have the same expressions) plus settings.expression in every configured image extension.
+ *   Expressions the parent doesn't have are not found there; findImage then uses the parent's sprite.
+ * - Null when the parent can't be listed either.
+ */
+const getNestedSpriteList = async(folder)=>{
+    const parent = folder.split('/').slice(0, -1).join('/');
+    const parentSprites = await getSpriteList(parent);
+    if (!parentSprites) return null;
+    const fileOf = (url)=>decodeURIComponent(url.split('?')[0].split('/').at(-1));
+    const files = [...new Set([
+        ...parentSprites.map(fileOf),
+        ...settings.extensions.filter(ext=>IMAGE_EXTENSIONS.includes(ext.toLowerCase())).map(ext=>`${settings.expression}.${ext}`),
+    ])];
+    const urls = files.map(file=>`/characters/${folder}/${file}`);
+    const exists = await mapLimit(urls, 6, (url)=>probeSprite(url));
+    const sprites = urls.filter((_, idx)=>exists[idx]);
+    if (enableVerboseLogging) log('nested sprite manifest', folder, sprites.length);
+    return sprites;
+};
+
+/**
+ * probeSprite(url)
+ * - HEAD request for a single sprite URL, cached in spriteProbes so every missing file is requested at most once.
+ */
+const probeSprite = (url)=>{
+    if (!spriteProbes.has(url)) {
+        spriteProbes.set(url, fetch(url, {
+            method: 'HEAD',
+            headers: getRequestHeaders(),
+        }).then(resp=>resp.ok, ()=>false));
+    }
+    return spriteProbes.get(url);
+};
+
+/**
+ * clearSpriteManifest()
+ * - Forgets all listed and probed sprites, e.g. after the chat path or extension list changed or on a manual rescan.
+ */
+const clearSpriteManifest = ()=>{
+    spriteManifest = new Map();
+    spriteProbes = new Map();
+};
+
+/**
+ * getSpriteFolders(name)
+ * - Sprite folders for a member, most specific first: "[path/]Name/<outfit>" when an outfit is set in
+ *   csettings.outfits, then the base folder "[path/]Name".
+ * - Lorebook members can map to a different folder than their name ("Name @folder", see getLoreCast); a typed
+ *   member with the same name keeps its own folder.
+ * - Group chat members fall back to their own SillyTavern sprite folders (see getGroupCast).
+ */
+const getSpriteFolders = (name)=>{
+    const folder = (loreMembers.has(name) && csettings.loreCast?.folders?.[name]) || name;
+    const bases = [csettings.path ? `${csettings.path}/${folder}` : folder];
+    bases.push(...(getGroupCast().find(it=>it.name == name)?.folders ?? []));
+    const unique = [...new Set(bases)];
+    const outfit = csettings.outfits?.[name];
+    return outfit ? [...unique.map(base=>`${base}/${outfit}`), ...unique] : unique;
+};
+
+/**
+ * findImage(name, expression, triedDefault)
+ * - Resolves a character expression image from the sprite manifest (see getSpriteList), trying settings.extensions in order
+ * - Looks in the member's current outfit folder first, then in the base folder (see getSpriteFolders)
+ * - Extensions the listing can't contain (e.g. video) and unlistable folders fall back to cached HEAD probes
+ * - Falls back to default expression if specified expression is not found
+ * - Returns URL if found, undefined otherwise
+ */
+const findImage = async(name, expression = null, triedDefault = false) => {
+    const targetExpression = expression ?? settings.expression;
+    for (const folder of getSpriteFolders(name)) {
+        const sprites = await getSpriteList(folder);
+        for (const ext of settings.extensions) {
+            const file = `${targetExpression}.${ext}`;
+            if (sprites) {
+                const fileOf = (url)=>decodeURIComponent(url.split('?')[0].split('/').at(-1));
+                const match = sprites.find(it=>fileOf(it) === file) ?? sprites.find(it=>fileOf(it).toLowerCase() === file.toLowerCase());
+                if (match) return match;
+                if (IMAGE_EXTENSIONS.includes(ext.toLowerCase())) continue;
+            }
+            const url = `/characters/${folder}/${file}`;
+            if (await probeSprite(url)) {
+                return url;
+            }
+        }
+    }
+
+    // Fallback to default expression (but only once to prevent infinite recursion)
+    if (expression && expression !== settings.expression && !triedDefault) {
+        return await findImage(name, settings.expression, true);
+    }
+};
+
+/**
+ * getPlaceholderSprite(name)
+ * - Generated SVG badge (data URL) with the name's initials and name on a colour derived from the name.
+ */
+const getPlaceholderSprite = (name)=>{
+    const hue = parseInt(hashText(name), 36) % 360;
+    const initials = name.split(/\s+/).filter(it=>it.length).slice(0, 2).map(it=>[...it][0].toUpperCase()).join('');
+    const escape = (text)=>text.replace(/[&<>"]/g, ch=>`&#${ch.charCodeAt(0)};`);
+    const svg = [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="600" viewBox="0 0 400 600">',
+        `<rect x="40" y="120" width="320" height="440" rx="48" fill="hsl(${hue}, 45%, 38%)" stroke="hsl(${hue}, 45%, 70%)" stroke-width="8"/>`,
+        `<text x="200" y="360" font-family="sans-serif" font-size="140" font-weight="bold" fill="#fff" text-anchor="middle">${escape(initials)}</text>`,
+        `<text x="200" y="480" font-family="sans-serif" font-size="36" fill="#fff" text-anchor="middle" textLength="${Math.min(280, name.length * 22)}" lengthAdjust="spacingAndGlyphs">${escape(name)}</text>`,
+        '</svg>',
+    ].join('');
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * findSprite(name, expression)
+ * - findImage with fallbacks for members without any sprite: the avatar thumbnail of the character card with that
+ *   name, else a generated placeholder badge (see getPlaceholderSprite).
+ * - Keeps missingSprites (listed in the settings drawer) up to date.
+ */
+const findSprite = async(name, expression = null)=>{
+    const url = await findImage(name, expression);
+    const isMissing = !url;
+    if (isMissing !== missingSprites.has(name)) {
+        if (isMissing) missingSprites.add(name);
+        else missingSprites.delete(name);
+        renderMissingSprites();
+    }
+    if (url) return url;
+    const avatar = characters.find(it=>it.name == name)?.avatar;
+    return avatar ? getThumbnailUrl('avatar', avatar) : getPlaceholderSprite(name);
+};
+
+/**
+ * renderMissingSprites()
+ * - Shows the members without sprites (missingSprites) as a warning in the settings drawer.
  */
-function updateSideSizes() {
-    if (!root) return;
-    // Find the main chat container. Prefer getElementById but fallback to querySelector as requested.
-    const sheld = document.getElementById('sheld') || document.querySelector('#sheld');
-    let leftSpace = 0;
-    let rightSpace = 0;
-    if (sheld) {
-        const rect = sheld.getBoundingClientRect();
-        leftSpace = Math.max(0, Math.floor(rect.left));
-        rightSpace = Math.max(0, Math.floor(window.innerWidth - rect.right));
-    } else {
-        // No chatbox found - treat full viewport as available (split half/half) to avoid zero-width areas
-        leftSpace = Math.floor(window.innerWidth / 2);
-        rightSpace = window.innerWidth - leftSpace;
+const renderMissingSprites = ()=>{
+    const el = document.querySelector('#stne--missingSprites');
+    if (!el) return;
+    const names = [...missingSprites].filter(it=>nameList.includes(it));
+    el.hidden = !names.length;
+    el.textContent = `No sprites found for ${names.join(', ')} (showing the card avatar or a placeholder). Check the chat path and folder names.`;
+};
+
+/**
+ * getCrossfadeDuration()
+ * - Crossfade duration in ms from settings.crossfadeDuration, 0 when the user prefers reduced motion.
+ */
+const getCrossfadeDuration = ()=>{
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return 0;
+    return Math.max(0, Number(settings.crossfadeDuration) || 0);
+};
+
+/**
+ * getFrontSprite(wrapper)
+ * - The visible one of the wrapper's two sprite buffers.
+ */
+const getFrontSprite = (wrapper)=>wrapper?.querySelector('.stne--img:not(.stne--back)');
+
+/**
+ * isVideoSprite(url)
+ * - True when the sprite URL's file extension is one of VIDEO_EXTENSIONS.
+ */
+const isVideoSprite = (url)=>VIDEO_EXTENSIONS.includes(String(url ?? '').split('?')[0].split('.').at(-1).toLowerCase());
+
+/**
+ * createSpriteElement(isVideo)
+ * - Creates a bare sprite element: <video autoplay loop muted playsinline> for video sprites, <img> otherwise.
+ */
+const createSpriteElement = (isVideo)=>{
+    const el = document.createElement(isVideo ? 'video' : 'img');
+    if (isVideo) {
+        // muted has to be set as a property for autoplay to be allowed
+        el.muted = true;
+        el.autoplay = true;
+        el.loop = true;
+        el.playsInline = true;
+        for (const attr of ['muted', 'autoplay', 'loop', 'playsinline']) el.setAttribute(attr, '');
     }
-    // expose pixel values as CSS variables for use by CSS rules
-    root.style.setProperty('--left-space', `${leftSpace}px`);
-    root.style.setProperty('--right-space', `${rightSpace}px`);
-    // use data attribute for placement mode (more reliable than inline style for CSS selectors)
-    root.dataset.placementMode = settings.placementMode;
-    // update DOM area widths so appended wrappers are inside the correct side area
-    if (leftArea) leftArea.style.width = `${leftSpace}px`;
-    if (rightArea) rightArea.style.width = `${rightSpace}px`;
-    if (enableVerboseLogging) log('updateSideSizes', { leftSpace, rightSpace });
-}
+    return el;
+};
 
-// ============================================================================
-// EVENT HANDLERS
-// ============================================================================
+/**
+ * createSprite(isVideo, isBack)
+ * - Creates one sprite buffer (<img> or <video>, see createSpriteElement) with the click-to-zoom handler.
+ */
+const createSprite = (isVideo, isBack)=>{
+    const img = createSpriteElement(isVideo); {
+        img.classList.add('stne--img');
+        img.classList.toggle('stne--back', isBack);
+        img.style.cursor = 'pointer';
+        img.style.pointerEvents = 'all';
+        // Add click handler to show zoomed image
+        img.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showZoomedImage(img);
+        });
+    }
+    return img;
+};
 
-const chatChanged = async ()=>{
-    log('chatChanged');
-    const context = getContext();
+/**
+ * createSpriteBuffers(wrapper)
+ * - Adds the two sprite buffers to a new wrapper: the front one in flow (sizes the wrapper), the back one absolutely
+ *   positioned on top of it, invisible, used to preload the next expression (see setSpriteSource).
+ */
+const createSpriteBuffers = (wrapper)=>{
+    wrapper.append(createSprite(false, false), createSprite(false, true));
+};
 
-    csettings = Object.assign({
-        members: [],
-        emotes: {},
-    }, chat_metadata.groupExpressions ?? {});
-    chat_metadata.groupExpressions = csettings;
-    log(chat_metadata);
-    // Safely update chat-scoped inputs only if they exist in the DOM
-    const pathEl = document.querySelector('#stne--path');
-    if (pathEl) {
-        pathEl.disabled = context.chatId == null;
-        pathEl.value = csettings.path ?? '';
+/**
+ * matchSpriteKind(sprite, url)
+ * - Returns sprite, or a fresh buffer of the right element type (replacing it in the DOM) when url needs <video>
+ *   where sprite is an <img> or vice versa.
+ */
+const matchSpriteKind = (sprite, url)=>{
+    const isVideo = isVideoSprite(url);
+    if ((sprite.tagName === 'VIDEO') === isVideo) return sprite;
+    const replacement = createSprite(isVideo, sprite.classList.contains('stne--back'));
+    sprite.replaceWith(replacement);
+    return replacement;
+};
+
+/**
+ * loadSprite(sprite, url)
+ * - Points the sprite at url and resolves once it can be shown (decoded image / first video frame); rejects on errors.
+ */
+const loadSprite = (sprite, url)=>{
+    sprite.src = url;
+    if (sprite.tagName !== 'VIDEO') return sprite.decode?.();
+    if (sprite.readyState >= 2) return Promise.resolve();
+    return new Promise((resolve, reject)=>{
+        sprite.addEventListener('loadeddata', ()=>resolve(), { once:true });
+        sprite.addEventListener('error', ()=>reject(sprite.error), { once:true });
+    });
+};
+
+/**
+ * setSpriteSource(wrapper, url)
+ * - Loads url into the back buffer and, once it can be shown, swaps the buffers: the new sprite appears underneath while
+ *   the old one fades out on top over the crossfade duration. A sprite that fails to load keeps the current one.
+ * - Buffers switch between <img> and <video> as the sprite's file type requires (see matchSpriteKind).
+ * - Later calls supersede pending ones, so only the newest expression ends up on the front buffer.
+ */
+const setSpriteSource = async(wrapper, url)=>{
+    let front = getFrontSprite(wrapper);
+    let back = wrapper?.querySelector('.stne--img.stne--back');
+    if (!front || !back) return;
+    // a newer call always wins, also when it returns early: a pending load for an older url must not swap in
+    const token = String(Number(wrapper.dataset.spriteToken ?? 0) + 1);
+    wrapper.dataset.spriteToken = token;
+    if (!url) {
+        front.removeAttribute('src');
+        return;
     }
-    const membersEl = document.querySelector('#stne--members');
-    if (membersEl) {
-        membersEl.disabled = context.chatId == null;
-        membersEl.value = csettings.membersRaw ?? csettings.members?.join(', ') ?? '';
+    if (front.getAttribute('src') === url) return;
+    // first sprite of a new wrapper: nothing to fade from
+    if (!front.getAttribute('src')) {
+        front = matchSpriteKind(front, url);
+        front.src = url;
+        return;
+    }
+    back = matchSpriteKind(back, url);
+    try {
+        await loadSprite(back, url);
+    } catch {
+        if (wrapper.dataset.spriteToken === token) log('sprite failed to load', url);
+        return;
+    }
+    if (wrapper.dataset.spriteToken !== token) return;
+    back.classList.remove('stne--back');
+    front.classList.add('stne--back');
+    // an outgoing video keeps decoding while invisible, stop it once it faded out
+    if (front.tagName === 'VIDEO') {
+        setTimeout(()=>{
+            if (front.classList.contains('stne--back')) front.pause();
+        }, getCrossfadeDuration());
     }
-    updateAliasGroups();
-    await restart();
 };
 
-const groupUpdated = (...args) => {
-    log('GROUP UPDATED', args);
+/**
+ * prefetchExpressions(text, names)
+ * - Preloads the sprites a streaming message is likely to switch to: the expression its text so far suggests for each
+ *   name (built-in lexicon, also as a guess for the endpoint), expressions from tags already written, and the default.
+ */
+const prefetchExpressions = async(text, names)=>{
+    const wanted = names.map(name=>[name, settings.expression]);
+    if (settings.emotionSource !== 'expressions') {
+        const contexts = getCharacterContexts(text, names);
+        for (const name of names) {
+            const label = contexts[name] ? classifyLexicon(contexts[name]) : null;
+            if (label) wanted.push([name, label]);
+        }
+    }
+    if (settings.expressionTags) wanted.push(...parseExpressionTags(text, names).map(it=>[it.name, it.emote]));
+    for (const [name, expression] of wanted) {
+        const url = await findImage(name, expression);
+        if (!url || prefetched.has(url)) continue;
+        prefetched.add(url);
+        const sprite = isVideoSprite(url) ? document.createElement('video') : new Image();
+        sprite.preload = 'auto';
+        sprite.src = url;
+    }
 };
 
-const messageRendered = async () => {
-    log('messageRendered');
-    while (settings.isEnabled) {
-        if (!busy) {
-            updateSettingsBackground();
-            // Ensure side area sizes are recalculated before layout is applied so wrappers are appended into correct containers
-            if (root) updateSideSizes();
-            await updateMembers();
-            const lastMes = chat.toReversed().find(it=>!it.is_system);
-            const lastCharMes = chat.toReversed().find(it=>!it.is_user && !it.is_system && nameList.find(o=>it.name == o));
-            // Decide whether to emit verbose debug logs for this message (only once per changed message)
-            const messageTextForLog = lastMes?.mes ?? lastMes?.message ?? lastMes?.text ?? '';
-            if (messageTextForLog !== lastLoggedMessageText) {
-                enableVerboseLogging = true;
-                lastLoggedMessageText = messageTextForLog;
-            } else {
-                enableVerboseLogging = false;
-            }
+/**
+ * getMemberExpressions(name)
+ * - Expression names available in the member's sprite folders, outfit and base (sprite files with one of
+ *   settings.extensions), sorted.
+ * - Returns null when none of the folders can be listed (see getSpriteList).
+ */
+const getMemberExpressions = async(name)=>{
+    const lists = await Promise.all(getSpriteFolders(name).map(folder=>getSpriteList(folder)));
+    if (lists.every(it=>!it)) return null;
+    const extensions = settings.extensions.map(it=>it.toLowerCase());
+    const expressions = new Set();
+    for (const url of lists.flat().filter(Boolean)) {
+        const file = decodeURIComponent(url.split('?')[0].split('/').at(-1));
+        const dot = file.lastIndexOf('.');
+        if (dot > 0 && extensions.includes(file.slice(dot + 1).toLowerCase())) expressions.add(file.slice(0, dot));
+    }
+    return [...expressions].toSorted();
+};
 
-            // New presence & ordering logic (narrator/DM mode): compute ordered names based on unbracketed occurrences
-            const orderedNames = await getPresentOrderedNames(lastMes, nameList);
-            if (enableVerboseLogging) log('orderedNames', orderedNames);
-            const slots = orderedNames.slice(0, 4);
-            // expose how many images are visible so CSS can adapt layouts for 1/2/3 images
-            if (root) root.setAttribute('data-visible-count', String(Math.max(0, Math.min(4, slots.length))));
-
-            // Compute current occurrence counts for pulse detection
-            const pulseText = lastMes?.mes ?? lastMes?.message ?? lastMes?.text ?? '';
-            const pulseSpans = getNonBracketSpans(pulseText).map(s => ({ ...s, text: pulseText.slice(s.start, s.end) }));
-            const currentNameCounts = {};
-            for (const name of nameList) {
-                const aliases = aliasGroups[name] || [name];
-                let totalCount = 0;
-                for (const alias of aliases) {
-                    const { count } = countOccurrencesOutsideBrackets(alias, pulseSpans);
-                    totalCount += count;
-                }
-                currentNameCounts[name] = totalCount;
-            }
+/**
+ * hashText(text)
+ * - Cheap djb2 string hash, used to tell whether a message's text changed since its expression snapshot was taken.
+ */
+const hashText = (text)=>{
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+};
 
-            // debug: print slots and wrapper state when verbose logging is enabled
-            if (enableVerboseLogging) {
-                try {
-                    log('messageRendered slots:', slots);
-                    log('wrappers:', imgs.map(w=>({ name: w.getAttribute('data-character'), attached: !!w.closest('.stne--root'), parent: w.parentElement?.className })));
-                    log('side widths (px):', { left: leftArea?.getBoundingClientRect?.().width, right: rightArea?.getBoundingClientRect?.().width });
-                } catch(e) { log('debug log error', e); }
-            }
+/**
+ * getCurrentExpression(name)
+ * - Expression currently in effect for name: a locked manual emote wins, then the detected / mirrored expression,
+ *   then an unlocked manual emote. Null means the default expression.
+ * - While a past message is viewed (see setStageView) its snapshot is used instead of the live expressions.
+ */
+const getCurrentExpression = (name)=>{
+    const manual = (viewSnapshot?.emotes ?? csettings?.emotes)?.[name];
+    if (manual?.isLocked) return manual.emote;
+    return (viewSnapshot?.detected ?? detectedEmotes)[name] ?? manual?.emote ?? null;
+};
 
-            // Clean previous "last" markers
-            imgs.filter(it=>it.classList.contains('stne--last')).forEach(it=>it.classList.remove('stne--last'));
-
-            // Show/hide and assign slot ordering
-            for (const wrapper of imgs) {
-                const name = wrapper.getAttribute('data-character');
-                const slotIndex = slots.indexOf(name);
-                if (slotIndex >= 0) {
-                    // assign corner slot via --order
-                    wrapper.style.setProperty('--order', String(slotIndex));
-                    // enter animation if not in root
-                    // Determine correct target area for this slot (left/right split by visibleCount)
-                    const visibleCount = slots.length;
-                    if (enableVerboseLogging) log('placing wrapper', name, { slotIndex, visibleCount, slots, currentParent: wrapper.parentElement?.className });
-                    let targetArea = null;
-                    if (visibleCount === 1) {
-                        targetArea = leftArea;
-                    } else if (visibleCount === 2) {
-                        targetArea = (slotIndex === 0) ? leftArea : rightArea;
-                    } else if (visibleCount === 3) {
-                        targetArea = (slotIndex === 0) ? leftArea : rightArea;
-                    } else {
-                        targetArea = (slotIndex <= 1) ? leftArea : rightArea;
-                    }
-                    if (enableVerboseLogging) log('chosen targetArea class:', targetArea?.className);
-                    // Only move DOM node if it's not already in the correct area
-                    if (wrapper.parentElement !== targetArea) {
-                        wrapper.classList.add('stne--exit');
-                        if (enableVerboseLogging) {
-                            try { log('pre-move', { name, from: wrapper.parentElement?.className, to: targetArea?.className }); } catch(e) { log('pre-move log err', e); }
-                        }
-                        targetArea?.append(wrapper);
-                        await delay(50);
-                        wrapper.classList.remove('stne--exit');
-                        if (enableVerboseLogging) {
-                            try { log('moved', { name, parent: wrapper.parentElement?.className, wrapperRect: wrapper.getBoundingClientRect() }); } catch(e) { log('post-move log err', e); }
-                        }
-                    }
-                    wrapper.classList.remove('stne--hidden');
-                } else {
-                    // hide it
-                    wrapper.style.removeProperty('--order');
-                    // if currently attached to root (or one of its side areas), animate exit and remove from DOM (element object remains in imgs)
-                    if (wrapper.closest('.stne--root')) {
-                        wrapper.classList.add('stne--exit');
-                        if (enableVerboseLogging) log('removing wrapper', name);
-                        wrapper.remove();
-                    } else {
-                        // keep in memory but mark hidden
-                        wrapper.classList.add('stne--hidden');
-                    }
-                }
-            }
+/**
+ * refreshExpression(name)
+ * - Crossfades the member's sprite to their current expression (see getCurrentExpression, setSpriteSource).
+ */
+const refreshExpression = async(name)=>{
+    const wrapper = imgs.find(it=>it.getAttribute('data-character') == name);
+    if (wrapper) await setSpriteSource(wrapper, await findSprite(name, getCurrentExpression(name)));
+};
 
-            // Mark the last response visually: if last message is not from user, and primary speaker corresponds to first slot
-            if (lastMes?.is_user === false) {
-                const primary = slots[0];
-                if (primary && lastCharMes && primary === lastCharMes.name) {
-                    const wrap = imgs.find(it=>it.getAttribute('data-character') == primary && it.closest('.stne--root'));
-                    if (wrap) wrap.classList.add('stne--last');
-                }
-            }
+/**
+ * recordExpressionSnapshot(mes)
+ * - Stores the expressions and manual emotes / locks in effect for mes in mes.extra.groupExpressions. SillyTavern keeps
+ *   extra per swipe, so every swipe carries its own snapshot. Saves the chat only when the snapshot changed.
+ */
+const recordExpressionSnapshot = (mes)=>{
+    if (!mes || !csettings) return;
+    const snapshot = {
+        hash: hashText(mes.mes ?? ''),
+        emotes: structuredClone(csettings.emotes ?? {}),
+        detected: { ...detectedEmotes },
+    };
+    if (JSON.stringify(snapshot) === JSON.stringify(mes.extra?.groupExpressions)) return;
+    mes.extra ??= {};
+    mes.extra.groupExpressions = snapshot;
+    saveChatDebounced();
+};
 
-            // Pulse detection: trigger scale animation when a name's unbracketed count increases during streaming
-            for (const name of slots) {
-                const prev = previousNameCounts[name] || 0;
-                const curr = currentNameCounts[name] || 0;
-                if (curr > prev && prev > 0) {
-                    const wrapper = imgs.find(it => it.getAttribute('data-character') === name);
-                    if (wrapper && wrapper.closest('.stne--root')) {
-                        wrapper.classList.remove('stne--name-pulse');
-                        void wrapper.offsetWidth; // force reflow to restart animation
-                        wrapper.classList.add('stne--name-pulse');
-                    }
-                }
-            }
-            previousNameCounts = { ...currentNameCounts };
-        }
-        await delay(1000);
+/**
+ * syncExpressionHistory(lastMes, names)
+ * - When the last message changed identity (new message, swipe, deletion, edit, chat reload) and it carries a snapshot
+ *   for its current text, restores exactly those expressions and manual emotes / locks instead of detecting again.
+ * - Otherwise runs emotion detection for the message and records the resulting snapshot on it.
+ */
+const syncExpressionHistory = async(lastMes, names)=>{
+    const text = lastMes?.mes ?? '';
+    const id = `${chat.lastIndexOf(lastMes)}:${lastMes?.swipe_id ?? 0}:${hashText(text)}`;
+    const snapshot = lastMes?.extra?.groupExpressions;
+    if (id !== historyId && snapshot?.hash === hashText(text)) {
+        historyId = id;
+        if (enableVerboseLogging) log('restoring expression snapshot', snapshot);
+        csettings.emotes = structuredClone(snapshot.emotes ?? {});
+        chat_metadata.groupExpressions = csettings;
+        saveMetadataDebounced();
+        detectedEmotes = { ...(snapshot.detected ?? {}) };
+        lastEmotionKey = getEmotionKey(text, names);
+        for (const wrapper of imgs) await refreshExpression(wrapper.getAttribute('data-character'));
+        return;
     }
+    historyId = id;
+    await updateEmotions(lastMes, names);
+    recordExpressionSnapshot(lastMes);
 };
-// eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, ()=>messageRendered());
 
+/**
+ * applyExpressionTags(text)
+ * - Applies the inline expression tags in text (see parseExpressionTags) as manual emotes, like /ge-emote would.
+ *   Tags are locked when they say so or settings.lockTagEmotes is on.
+ * - Tags resolve against every member (nameList), like hideExpressionTags: a member who isn't on stage keeps the
+ *   emote for when they enter.
+ * - Returns the names that were tagged.
+ */
+const applyExpressionTags = async(text)=>{
+    if (!settings.expressionTags) return [];
+    const tags = parseExpressionTags(text, nameList);
+    if (!tags.length) return [];
+    if (enableVerboseLogging) log('expression tags', tags);
+    // later tags for the same name win
+    for (const tag of tags) {
+        csettings.emotes[tag.name] = {
+            emote: tag.emote,
+            isLocked: tag.isLocked || settings.lockTagEmotes,
+        };
+        delete detectedEmotes[tag.name];
+    }
+    saveMetadataDebounced();
+    const tagged = [...new Set(tags.map(it=>it.name))];
+    for (const name of tagged) await refreshExpression(name);
+    return tagged;
+};
 
+/**
+ * hideExpressionTags(messageId)
+ * - Removes the expression tags of a message (all rendered messages when messageId is omitted) from its rendered text.
+ * - Tags are taken from the message source, so only the ones that were applied are hidden; their literal text is then
+ *   removed from the text nodes of .mes_text. Markup the renderer kept as elements (<ne/>) is removed as well.
+ */
+const hideExpressionTags = (messageId = null)=>{
+    if (!settings?.hideExpressionTags || !settings.expressionTags) return;
+    const selector = messageId === null ? '#chat .mes[mesid]' : `#chat .mes[mesid="${messageId}"]`;
+    for (const mesEl of document.querySelectorAll(selector)) {
+        const text = chat[Number(mesEl.getAttribute('mesid'))]?.mes ?? '';
+        const tags = parseExpressionTags(text, nameList).map(it=>text.slice(it.start, it.end));
+        if (!tags.length) continue;
+        const textEl = mesEl.querySelector('.mes_text');
+        if (!textEl) continue;
+        for (const el of textEl.querySelectorAll('ne')) el.remove();
+        const walker = document.createTreeWalker(textEl, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        for (const node of nodes) {
+            let value = node.nodeValue;
+            for (const tag of tags) value = value.split(tag).join('');
+            if (value !== node.nodeValue) node.nodeValue = value;
+        }
+    }
+};
 
+/**
+ * getEmotionKey(text, names)
+ * - Key updateEmotions uses to run only once per message text / name set.
+ */
+const getEmotionKey = (text, names)=>`${text}\u0000${names.join('\u0000')}`;
 
 /**
- * findImage(name, expression, triedDefault)
- * - Searches for character expression images across configured extensions
- * - Falls back to default expression if specified expression is not found
- * - Returns URL if found, undefined otherwise
+ * updateEmotions(lastMes, names)
+ * - Works out each on-stage member's expression from the prose around their own name (see getCharacterContexts)
+ *   and swaps their sprite. Skipped when settings.emotionSource is 'expressions' (legacy mirroring via MutationObserver).
+ * - Runs once per message text / name set; locked emotes (/ge-emote lock=true) are left alone.
  */
-const findImage = async(name, expression = null, triedDefault = false) => {
-    const targetExpression = expression ?? settings.expression;
+const updateEmotions = async(lastMes, names)=>{
+    const text = lastMes?.mes ?? lastMes?.message ?? lastMes?.text ?? '';
+    const key = getEmotionKey(text, names);
+    if (key === lastEmotionKey) return;
+    lastEmotionKey = key;
+    // inline expression tags direct the stage explicitly and win over detection for this message
+    const tagged = await applyExpressionTags(text);
+    if (settings.emotionSource === 'expressions') return;
+    const contexts = getCharacterContexts(text, names);
+    if (enableVerboseLogging) log('emotionContexts', contexts);
+    for (const name of names) {
+        if (csettings.emotes?.[name]?.isLocked || tagged.includes(name)) continue;
+        const label = await classifyEmotion(contexts[name]);
+        if (!label || detectedEmotes[name] === label) continue;
+        detectedEmotes[name] = label;
+        if (enableVerboseLogging) log('detected emotion', name, label);
+        await refreshExpression(name);
+    }
+};
 
-    for (const ext of settings.extensions) {
-        const url = csettings.path
-            ? `/characters/${csettings.path}/${name}/${targetExpression}.${ext}`
-            : `/characters/${name}/${targetExpression}.${ext}`;
-        const resp = await fetch(url, {
-            method: 'HEAD',
-            headers: getRequestHeaders(),
+/**
+ * getGroupCast()
+ * - Members of the open group chat as [{name, avatar, muted, folders}], [] outside group chats.
+ * - folders are the member's own sprite folders in SillyTavern: the Expressions extension's override for the
+ *   card, else the folders named after the card and after its avatar file (see getSpriteFolders).
+ */
+const getGroupCast = ()=>{
+    const context = getContext();
+    if (context.groupId == null) return [];
+    const group = context.groups?.find(it=>it.id == context.groupId);
+    const cast = [];
+    for (const avatar of group?.members ?? []) {
+        const character = characters.find(it=>it.avatar == avatar);
+        if (!character) continue;
+        const avatarName = avatar.replace(/\.[^/.]+$/, '');
+        const override = extension_settings.expressionOverrides?.find(it=>it.name == avatarName)?.path;
+        cast.push({
+            name: character.name,
+            avatar,
+            muted: !!group.disabled_members?.includes(avatar),
+            folders: override ? [override] : [character.name, avatarName],
         });
-        if (resp.ok) {
-            return url;
-        }
     }
+    return cast;
+};
 
-    // Fallback to default expression (but only once to prevent infinite recursion)
-    if (expression && expression !== settings.expression && !triedDefault) {
-        return await findImage(name, settings.expression, true);
-    }
+/**
+ * getGroupSpeaker(mes)
+ * - Name of the group member who wrote mes, null for user / system messages and outside group chats.
+ */
+const getGroupSpeaker = (mes)=>{
+    if (!mes || mes.is_user || mes.is_system) return null;
+    const cast = getGroupCast();
+    const member = cast.find(it=>mes.original_avatar && it.avatar == mes.original_avatar) ?? cast.find(it=>it.name == mes.name);
+    return member?.name ?? null;
+};
+
+/**
+ * getGroupMemberNames()
+ * - Group members that join the cast: everyone not muted, plus a muted member who wrote the last response
+ *   (e.g. forced to reply with /trigger).
+ */
+const getGroupMemberNames = ()=>{
+    const speaker = getGroupSpeaker(chat.findLast(it=>!it.is_user && !it.is_system));
+    return getGroupCast().filter(it=>!it.muted || it.name == speaker).map(it=>it.name);
 };
 
 const updateMembers = async()=>{
@@ -854,7 +3504,10 @@ const updateMembers = async()=>{
             const members = getOrderFromText(csettings.members);
             names.push(...members);
             names.push(...csettings.members.filter(m=>!names.find(it=>it == m)));
-        } else if (context.characterId) {
+        }
+        // group members join the typed / lorebook cast, which can add NPCs that aren't in the group
+        names.push(...getGroupMemberNames().filter(m=>!names.includes(m)));
+        if (!names.length && context.characterId) {
             names.push(characters[context.characterId].name);
         }
         const removed = nameList.filter(it=>names.indexOf(it) == -1);
@@ -868,6 +3521,7 @@ const updateMembers = async()=>{
             img.classList.add('stne--exit');
             img.remove();
         }
+        if (removed.length) renderMissingSprites();
         for (const name of added) {
             nameList.push(name);
             if (!current) {
@@ -877,29 +3531,94 @@ const updateMembers = async()=>{
                 imgs.push(wrap);
                 wrap.classList.add('stne--wrapper');
                 wrap.setAttribute('data-character', name);
-                const img = document.createElement('img'); {
-                    img.classList.add('stne--img');
-                    img.src = await findImage(name, csettings[name]?.emote);
-                    img.style.cursor = 'pointer';
-                    img.style.pointerEvents = 'all';
-                    // Add click handler to show zoomed image
-                    img.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        showZoomedImage(img);
-                    });
-                    wrap.append(img);
-                    if (enableVerboseLogging) log('created wrapper for', name, 'src', img.src);
-                }
+                createSpriteBuffers(wrap);
+                await setSpriteSource(wrap, await findSprite(name, getCurrentExpression(name)));
+                if (enableVerboseLogging) log('created wrapper for', name, 'src', getFrontSprite(wrap).src);
             }
         }
+        // member list, aliases or (after a restart) the chat path may have changed
+        await updateCastPrompt();
     } catch (ex) {
         console.error('[NE]', ex);
     }
     busy = false;
 };
-eventSource.on(event_types.CHAT_CHANGED, ()=>(chatChanged(),null));
+/**
+ * buildCastPrompt()
+ * - Prompt text listing the members (minus never-show ones) with their aliases and available expressions,
+ *   plus the expression tag syntax when settings.expressionTags is on. Empty without members.
+ */
+const buildCastPrompt = async()=>{
+    const hidden = csettings?.hidden ?? [];
+    const names = nameList.filter(it=>!hidden.includes(it));
+    if (!names.length) return '';
+    const lines = ['[Characters shown on stage with expression sprites:'];
+    for (const name of names) {
+        const aliases = (aliasGroups[name] ?? []).filter(it=>it !== name && !parseRegexAlias(it));
+        const expressions = await getMemberExpressions(name);
+        let line = `- ${name}`;
+        if (aliases.length) line += ` (also called ${aliases.join(', ')})`;
+        if (expressions?.length) line += `: ${expressions.join(', ')}`;
+        lines.push(line);
+    }
+    if (settings.expressionTags) {
+        lines.push(`To change a character's expression, write [Name:expression] in plain narration (not inside quotes or *asterisks*), e.g. [${names[0]}:${settings.expression}]. Add ! to keep it until changed again, e.g. [${names[0]}:${settings.expression}!]. Only use expressions listed for that character.`);
+    }
+    lines.push(']');
+    return lines.join('\n');
+};
+
+/**
+ * updateCastPrompt(force)
+ * - Rebuilds the cast prompt and registers it with setExtensionPrompt when its text changed (or force is set,
+ *   e.g. after the position / depth changed). Clears the prompt when settings.castPrompt is off.
+ */
+const updateCastPrompt = async(force = false)=>{
+    try {
+        const text = settings.isEnabled && settings.castPrompt ? await buildCastPrompt() : '';
+        if (!force && text === castPromptText) return;
+        castPromptText = text;
+        if (enableVerboseLogging) log('cast prompt', text);
+        setExtensionPrompt('groupExpressions', text, settings.castPromptPosition, settings.castPromptDepth, false, extension_prompt_roles.SYSTEM);
+    } catch (ex) {
+        console.error('[NE]', ex);
+    }
+};
+
+eventSource.on(event_types.CHAT_CHANGED, ()=>(chatChanging = chatChanged().catch(ex=>console.error('[NE]', ex)),null));
+eventSource.on(event_types.CHAT_CREATED, ()=>chatCreated());
+eventSource.on(event_types.GROUP_CHAT_CREATED, ()=>chatCreated());
 eventSource.on(event_types.GROUP_UPDATED, (...args)=>groupUpdated(...args));
-// eventSource.on(event_types.USER_MESSAGE_RENDERED, ()=>messageRendered());
+eventSource.on(event_types.STREAM_TOKEN_RECEIVED, ()=>onStreamToken());
+eventSource.on(event_types.MESSAGE_EDITED, (messageId)=>invalidateRoster(messageId));
+// deleting shifts message ids, so a viewed past message can't be tracked
+eventSource.on(event_types.MESSAGE_DELETED, ()=>setStageView(null));
+// rendering replaces the message HTML, so tags have to be hidden again; earlier messages only re-render on edit / load
+eventSource.on(event_types.MESSAGE_UPDATED, (messageId)=>hideExpressionTags(messageId));
+eventSource.on(event_types.MORE_MESSAGES_LOADED, ()=>(hideExpressionTags(),addViewStageButtons()));
+eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, async()=>{
+    renderLoreBooks();
+    // the active books (tag-only source, see getLoreBooks) may have changed
+    if (csettings?.loreTag && !csettings.loreBooks?.length && await refreshLoreCast()) requestStageUpdate();
+});
+eventSource.on(event_types.WORLDINFO_UPDATED, async(name)=>{
+    if (!getLoreBooks().includes(name)) return;
+    if (await refreshLoreCast()) requestStageUpdate();
+});
+[
+    event_types.MESSAGE_RECEIVED,
+    event_types.CHARACTER_MESSAGE_RENDERED,
+    event_types.USER_MESSAGE_RENDERED,
+    event_types.MESSAGE_EDITED,
+    event_types.MESSAGE_UPDATED,
+    event_types.MESSAGE_SWIPED,
+    event_types.MESSAGE_DELETED,
+    event_types.GENERATION_ENDED,
+    event_types.GENERATION_STOPPED,
+].forEach(type=>eventSource.on(type, ()=>{
+    streaming = false;
+    requestStageUpdate();
+}));
 
 
 
@@ -930,19 +3649,18 @@ const getOrderFromText = (members)=>{
         const mesmem = [];
         for (const m of members) {
             const aliases = aliasGroups[m] || [m];
-            let bestMatch = null;
+            let bestIndex = -1;
             for (const alias of aliases) {
-                const rx = new RegExp(`(?:^|\\W)(${escapeRegex(alias)})(?:$|\\W)`);
-                const match = rx.exec(mes.mes);
-                if (match && (bestMatch === null || match.index < bestMatch.index)) {
-                    bestMatch = match;
+                const index = (mes.mes ?? '').search(makeWordRegex(alias));
+                if (index >= 0 && (bestIndex < 0 || index < bestIndex)) {
+                    bestIndex = index;
                 }
             }
-            if (bestMatch) {
-                mesmem.push([m, bestMatch]);
+            if (bestIndex >= 0) {
+                mesmem.push([m, bestIndex]);
             }
         }
-        mesmem.sort((a,b)=>a[1].index - b[1].index);
+        mesmem.sort((a,b)=>a[1] - b[1]);
         o.push(...mesmem.map(it=>it[0]).filter((it,idx,list)=>idx == list.indexOf(it)));
         for (const m of mesmem) {
             members.splice(members.indexOf(m[0]), 1);
@@ -971,6 +3689,7 @@ const start = async()=>{
     root = document.createElement('div'); {
         root.classList.add('stne--root');
         root.dataset.placementMode = settings.placementMode;
+        root.style.setProperty('--stne-fade-duration', `${getCrossfadeDuration()}ms`);
         document.body.append(root);
     }
     // Create left/right side-area containers that cover the empty side spaces of the viewport.
@@ -981,7 +3700,6 @@ const start = async()=>{
     leftArea.style.position = 'absolute';
     leftArea.style.left = '0';
     leftArea.style.top = '0';
-    leftArea.style.bottom = '0';
     // allow wrappers/images to overflow when needed; CSS expects visible
     leftArea.style.overflow = 'visible';
     root.append(leftArea);
@@ -996,6 +3714,19 @@ const start = async()=>{
     rightArea.style.overflow = 'visible';
     root.append(rightArea);
 
+    // Bench row below the left side-area for present characters that don't fit into the stage slots
+    bench = document.createElement('div');
+    bench.classList.add('stne--bench');
+    root.append(bench);
+
+    // Indicator shown while the stage displays a past message (see setStageView)
+    viewBadge = document.createElement('div'); {
+        viewBadge.classList.add('stne--viewBadge');
+        viewBadge.title = 'Back to the latest message';
+        viewBadge.addEventListener('click', ()=>setStageView(null));
+        root.append(viewBadge);
+    }
+
     // Listen for resize to keep side sizes in sync with the centered chatbox
     window.addEventListener('resize', updateSideSizes);
     // initial measurement
@@ -1013,9 +3744,11 @@ const start = async()=>{
         } catch (e) { log('start areas log err', e); }
     }
 
-    const context = getContext();
-    messageRendered();
-    mo.observe(document.querySelector('#expression-wrapper'), { childList:true, subtree:true, attributes:true });
+    requestStageUpdate();
+    // legacy mode: mirror the stock Expressions extension onto the last speaker's sprite
+    if (settings.emotionSource === 'expressions') {
+        mo.observe(document.querySelector('#expression-wrapper'), { childList:true, subtree:true, attributes:true });
+    }
     document.querySelector('#expression-wrapper').style.opacity = '0';
 };
 const end = ()=>{
@@ -1027,14 +3760,34 @@ const end = ()=>{
     window.removeEventListener('resize', updateSideSizes);
     leftArea?.remove();
     rightArea?.remove();
+    bench?.remove();
     leftArea = null;
     rightArea = null;
+    bench = null;
     root?.remove();
     root = null;
+    document.body.classList.remove('stne--strip');
+    document.body.style.removeProperty('--stne-strip-height');
     // cleanup modal overlay if it exists
     modalOverlay?.remove();
     modalOverlay = null;
     previousNameCounts = {};
+    detectedEmotes = {};
+    lastEmotionKey = null;
+    historyId = null;
+    castPromptText = null;
+    prefetched = new Set();
+    missingSprites = new Set();
+    renderMissingSprites();
+    viewedMessageId = null;
+    viewSnapshot = null;
+    viewBadge = null;
+    clearTimeout(scrollTimer);
+    scrollTimer = null;
+    document.querySelectorAll('#chat .stne--viewStage').forEach(it=>it.remove());
+    setExtensionPrompt('groupExpressions', '', settings.castPromptPosition, settings.castPromptDepth);
+    clearTimeout(streamThrottleTimer);
+    streamThrottleTimer = null;
     while (imgs.length > 0) {
         imgs.pop();
     }
@@ -1045,6 +3798,8 @@ const end = ()=>{
 const init = ()=>{
     log('init');
     initSettings();
+    document.querySelector('#chat').addEventListener('click', onViewStageClick);
+    document.querySelector('#chat').addEventListener('scroll', onChatScroll);
     // Ensure chat-scoped inputs reflect the current context immediately after settings are initialized
     try { chatChanged(); } catch(e) { console.error('[NE] chatChanged init call failed', e); }
     mo = new MutationObserver(async(muts)=>{
@@ -1057,9 +3812,12 @@ const init = ()=>{
             const nameParts = parts.slice(parts.indexOf('characters') + 1, -1).map(it=>decodeURIComponent(it));
             // Check if emote is locked before updating
             if (csettings.emotes?.[nameParts[0]]?.isLocked) return;
-            const imgElement = imgs.find(it=>it.getAttribute('data-character') == nameParts[0])?.querySelector('.stne--img');
-            if (imgElement) {
-                imgElement.src = await findImage(nameParts.join('/'), parts.at(-1).replace(/^(.+)\.[^.]+$/, '$1'));
+            const target = imgs.find(it=>it.getAttribute('data-character') == nameParts[0]);
+            if (target) {
+                const expression = parts.at(-1).replace(/^(.+)\.[^.]+$/, '$1');
+                detectedEmotes[nameParts[0]] = expression;
+                if (viewedMessageId === null) await setSpriteSource(target, await findSprite(nameParts.join('/'), expression));
+                if (!streaming) recordExpressionSnapshot(chat.toReversed().find(it=>!it.is_system));
             }
         }
     });
@@ -1119,9 +3877,12 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'ge-emote',
      */
     callback: async(args, value)=>{
         const name = args.name ?? substituteParams('{{char}}');
+        const lastMes = chat.toReversed().find(it=>!it.is_system);
         if (isTrueBoolean(args.clear)) {
             delete csettings.emotes[name];
             saveMetadataDebounced();
+            recordExpressionSnapshot(lastMes);
+            await refreshExpression(name);
             return '';
         }
         if (value?.length) {
@@ -1129,11 +3890,11 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'ge-emote',
                 emote: value,
                 isLocked: isTrueBoolean(args.lock ?? 'false'),
             };
+            // an unlocked emote stays until the next detected expression replaces it
+            delete detectedEmotes[name];
             saveMetadataDebounced();
-            const img = imgs.find(it=>it.getAttribute('data-character') == name)?.querySelector('.stne--img');
-            if (img) {
-                img.src = await findImage(name, value);
-            }
+            recordExpressionSnapshot(lastMes);
+            await refreshExpression(name);
         }
         const result = csettings.emotes[name];
         if (result) return JSON.stringify(result);
@@ -1177,3 +3938,157 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'ge-emote',
         </div>
     `,
 }));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'ge-cast',
+    /**
+     * @param {{}} args
+     * @param {string} value
+     */
+    callback: async(args, value)=>{
+        // like the panel buttons, only with an open chat: csettings belongs to the last chat otherwise
+        if (getContext().chatId == null) return '';
+        const [, action, json] = /^\s*(\S*)\s*([\s\S]*)$/.exec(value ?? '');
+        if (action == 'import') {
+            try {
+                await importCast(json);
+            } catch (ex) {
+                console.error('[NE]', 'cast import failed', ex);
+                return '';
+            }
+        } else if (action != 'export') {
+            return '';
+        }
+        return JSON.stringify(exportCast());
+    },
+    unnamedArgumentList: [
+        SlashCommandArgument.fromProps({ description: 'export | import, followed by the cast JSON for import',
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: true,
+        }),
+    ],
+    returns: 'cast JSON',
+    helpString: `
+        <div>
+            Export or import the chat's cast: path, member list with aliases, emotes and per-member settings.
+        </div>
+        <div>
+            Import replaces the current cast and returns it as imported.
+        </div>
+        <div>
+            <strong>Examples:</strong>
+            <ul>
+                <li><pre><code class="language-stscript">/ge-cast export | /setvar key=cast</code></pre></li>
+                <li><pre><code class="language-stscript">/ge-cast import {{getvar::cast}}</code></pre></li>
+            </ul>
+        </div>
+    `,
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'ge-outfit',
+    /**
+     * @param {{name:string, clear:string}} args
+     * @param {string} value
+     */
+    callback: async(args, value)=>{
+        const name = args.name ?? substituteParams('{{char}}');
+        if (isTrueBoolean(args.clear)) {
+            await setMemberOutfit(name, '');
+            return '';
+        }
+        if (value?.length) {
+            await setMemberOutfit(name, value);
+        }
+        return csettings.outfits?.[name] ?? '';
+    },
+    namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({ name: 'name',
+            description: 'name of the member',
+            defaultValue: '{{char}}',
+        }),
+        SlashCommandNamedArgument.fromProps({ name: 'clear',
+            description: 'true: go back to the base outfit',
+            typeList: [ARGUMENT_TYPE.BOOLEAN],
+            defaultValue: 'false',
+        }),
+    ],
+    unnamedArgumentList: [
+        SlashCommandArgument.fromProps({ description: 'outfit (sprite subfolder of the member)',
+        }),
+    ],
+    returns: 'current outfit',
+    helpString: `
+        <div>
+            Set the outfit for a member, saved in the chat. Sprites are then taken from <code>Name/&lt;outfit&gt;/</code>,
+            falling back to the member's base folder for expressions the outfit doesn't have.
+        </div>
+        <div>
+            Leave the unnamed argument blank to just return the current outfit.
+        </div>
+        <div>
+            <strong>Examples:</strong>
+            <ul>
+                <li><pre><code class="language-stscript">/ge-outfit name=Alice casual</code></pre></li>
+                <li><pre><code class="language-stscript">/ge-outfit name=Alice clear=true</code></pre></li>
+            </ul>
+        </div>
+    `,
+}));
+
+for (const [command, key, description] of [
+    ['ge-pin', 'pinned', 'always present on stage, regardless of mentions'],
+    ['ge-hide', 'hidden', 'never shown on stage, regardless of mentions'],
+]) {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: command,
+        /**
+         * @param {{name:string, clear:string}} args
+         * @param {string} value
+         */
+        callback: (args, value)=>{
+            if (isTrueBoolean(args.clear)) {
+                for (const name of [...(csettings[key] ?? [])]) setMemberFlag(key, name, false);
+                return JSON.stringify([]);
+            }
+            if (args.name !== undefined || value?.length) {
+                const name = args.name ?? substituteParams('{{char}}');
+                let state = null;
+                if (isTrueBoolean(value)) state = true;
+                else if (isFalseBoolean(value)) state = false;
+                setMemberFlag(key, name, state);
+            }
+            return JSON.stringify(csettings[key] ?? []);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'name',
+                description: 'name of the member',
+                defaultValue: '{{char}}',
+            }),
+            SlashCommandNamedArgument.fromProps({ name: 'clear',
+                description: `true: remove the flag from all members`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: 'on / off, toggles when omitted',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+            }),
+        ],
+        returns: `list of members that are ${description}`,
+        helpString: `
+            <div>
+                Mark a member as ${description}. Toggles the flag unless on / off is given.
+            </div>
+            <div>
+                Call without arguments to just return the current list.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li><pre><code class="language-stscript">/${command} name=Alice</code></pre></li>
+                    <li><pre><code class="language-stscript">/${command} name=Alice off</code></pre></li>
+                    <li><pre><code class="language-stscript">/${command} clear=true</code></pre></li>
+                </ul>
+            </div>
+        `,
+    }));
+}